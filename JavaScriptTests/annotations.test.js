@@ -0,0 +1,98 @@
+// annotations.test.js - Re-anchoring stored highlights after the chapter changes
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./support/page');
+
+// Select a DOM range and create a highlight from it
+function annotate(page, startNode, startOffset, endNode, endOffset) {
+    const range = page.document.createRange();
+    range.setStart(startNode, startOffset);
+    range.setEnd(endNode, endOffset);
+    page.window.getSelection().addRange(range);
+    const annotation = page.window.shiori.createAnnotation({ color: 'yellow' });
+    assert.ok(annotation);
+    return JSON.parse(JSON.stringify(annotation));
+}
+
+// Load the horizontal fixture, optionally changing its paragraphs first
+function loadChapter(edit) {
+    const page = loadFixture('horizontal.html', { highlights: true });
+    if (edit) {
+        edit(page.document);
+    }
+    return page;
+}
+
+// Load annotations into a page, returning each result's method and the highlighted text
+function reload(page, annotation) {
+    const [result] = page.window.shiori.loadAnnotations([annotation]);
+    const highlight = page.window.CSS.highlights.get('shiori-annotation-0');
+    return {
+        method: result.method,
+        text: highlight ? [...highlight].map(range => range.toString()) : [],
+        exact: result.annotation.target.selector.find(selector => selector.type === 'TextQuoteSelector').exact
+    };
+}
+
+// An annotation on 猫 in the first paragraph
+function annotateCat() {
+    const page = loadChapter();
+    const text = page.document.getElementById('plain').firstChild;
+    return annotate(page, text, 3, text, 4);
+}
+
+test('an unchanged chapter anchors at the stored position', () => {
+    assert.deepEqual(reload(loadChapter(), annotateCat()), { method: 'position', text: ['猫'], exact: '猫' });
+});
+
+test('moved text is found by its quote and context', () => {
+    // A new paragraph with another 猫 pushes the annotated one along
+    const page = loadChapter(document => {
+        const paragraph = document.createElement('p');
+        paragraph.textContent = '猫の話。';
+        document.body.insertBefore(paragraph, document.body.firstElementChild);
+    });
+
+    const result = reload(page, annotateCat());
+    assert.deepEqual(result, { method: 'quote', text: ['猫'], exact: '猫' });
+    const range = [...page.window.CSS.highlights.get('shiori-annotation-0')][0];
+    assert.equal(range.startContainer.parentElement.id, 'plain');
+});
+
+test('edited text is found by the closest fuzzy match', () => {
+    const original = loadChapter();
+    const text = original.document.getElementById('plain').firstChild;
+    const annotation = annotate(original, text, 8, text, 15);
+    assert.equal(annotation.target.selector[0].exact, '名前はまだ無い');
+
+    const page = loadChapter(document => {
+        document.getElementById('plain').textContent = '吾輩は猫である。名前はまだない。';
+    });
+    assert.deepEqual(reload(page, annotation), { method: 'fuzzy', text: ['名前はまだない'], exact: '名前はまだない' });
+});
+
+test('a highlight spanning ruby counts only the base text', () => {
+    const page = loadChapter();
+    const ruby = page.document.getElementById('ruby');
+    const after = ruby.nextSibling;
+    const annotation = annotate(page, ruby.firstChild, 1, after, 1);
+
+    const quote = annotation.target.selector.find(selector => selector.type === 'TextQuoteSelector');
+    assert.equal(quote.exact, '字を');
+
+    // Hiding the furigana leaves the stored offsets valid
+    const hidden = loadChapter(document => document.querySelector('rt').remove());
+    assert.deepEqual(reload(hidden, annotation), { method: 'position', text: ['字を'], exact: '字を' });
+
+    // With furigana, the drawn range runs over the reading between the base and を
+    assert.deepEqual(reload(loadChapter(), annotation), { method: 'position', text: ['字かんじを'], exact: '字を' });
+});
+
+test('fuzzy matching gives up beyond a quarter of the quote in edits', () => {
+    const page = loadChapter();
+    const findFuzzyQuoteMatch = page.internal('findFuzzyQuoteMatch');
+
+    assert.deepEqual({ ...findFuzzyQuoteMatch('あいうえおかきくけこ', 'うえおかき', 2) }, { start: 2, end: 7, errors: 0, distance: 0 });
+    assert.equal(findFuzzyQuoteMatch('あいうえおかきくけこ', 'うXおYき', 2), null);
+});
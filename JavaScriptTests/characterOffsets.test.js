@@ -0,0 +1,103 @@
+// characterOffsets.test.js - Offsets and lookup text exchanged with Swift
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./support/page');
+const { installCharacterGrid } = require('./support/layout');
+
+test('lookup text is never cut inside a character', () => {
+    const page = loadFixture('horizontal.html');
+    const readInlineText = page.internal('readInlineText');
+    const paragraph = page.document.getElementById('plain');
+    paragraph.textContent = 'あ'.repeat(29) + '𠮟る';
+
+    const text = readInlineText(paragraph.firstChild, 0, 30, true);
+
+    assert.equal(text, 'あ'.repeat(29) + '𠮟');
+    assert.equal(readInlineText(paragraph.firstChild, paragraph.firstChild.length, 2, false), '𠮟る');
+});
+
+test('offsets count characters the way Swift does', () => {
+    const page = loadFixture('horizontal.html');
+    const toCharacterOffset = page.internal('toCharacterOffset');
+    const fromCharacterOffset = page.internal('fromCharacterOffset');
+    // An astral kanji, then 葛 with an ideographic variation selector
+    const text = '𠮟葛\u{E0100}城';
+
+    assert.equal(toCharacterOffset(text, 2), 1);
+    assert.equal(toCharacterOffset(text, 5), 2);
+    assert.equal(toCharacterOffset(text, text.length), 3);
+    assert.equal(fromCharacterOffset(text, 2), 5);
+    assert.equal(fromCharacterOffset(text, 3), text.length);
+});
+
+// Give the plain paragraph of the horizontal fixture new text and lay it out
+function loadParagraph(text) {
+    const page = loadFixture('horizontal.html', { highlights: true });
+    page.document.getElementById('plain').textContent = text;
+    installCharacterGrid(page.window, { writingMode: 'horizontal-tb' });
+    return page;
+}
+
+test('speech highlights take character ranges', () => {
+    const page = loadParagraph('𠮟られた猫。');
+
+    assert.equal(page.window.shiori.highlightSpeech({ paragraphIndex: 0, start: 4, length: 1 }), true);
+
+    const [range] = page.window.CSS.highlights.get('shiori-speech-word');
+    assert.equal(range.toString(), '猫');
+});
+
+test('speech ranges relative to a sentence count characters', () => {
+    const page = loadParagraph('𠮟る。𠮟られた猫。');
+
+    assert.equal(page.window.shiori.highlightSpeech({ sentenceId: '0-1', start: 4, length: 1 }), true);
+
+    const [range] = page.window.CSS.highlights.get('shiori-speech-word');
+    assert.equal(range.toString(), '猫');
+});
+
+test('read-along sentences report character offsets', () => {
+    const page = loadParagraph('𠮟る。𠮟られた猫。');
+
+    const sentences = page.window.shiori.getReadAlongSentences().filter(sentence => sentence.paragraphIndex === 0);
+
+    assert.deepEqual(Array.from(sentences, sentence => [sentence.start, sentence.end, sentence.text]), [
+        [0, 3, '𠮟る。'],
+        [3, 9, '𠮟られた猫。']
+    ]);
+});
+
+test('annotation position selectors count code points', () => {
+    const page = loadParagraph('葛\u{E0100}𠮟る猫。');
+    const text = page.document.getElementById('plain').firstChild;
+    const range = page.document.createRange();
+    range.setStart(text, 6);
+    range.setEnd(text, 7);
+    page.window.getSelection().addRange(range);
+
+    const annotation = page.window.shiori.createAnnotation({ color: 'yellow' });
+    const selector = annotation.target.selector.find(item => item.type === 'TextPositionSelector');
+
+    const chapterText = page.internal('getTextIndex')(page.document.body).text;
+    const catOffset = chapterText.indexOf('猫');
+    assert.equal(annotation.target.selector.find(item => item.type === 'TextQuoteSelector').exact, '猫');
+    // 葛 and its variation selector are two code points, 𠮟 is one
+    assert.deepEqual([selector.start, selector.end], [catOffset - 2, catOffset - 1]);
+    assert.equal(selector.start, [...chapterText.substring(0, catOffset)].length);
+});
+
+test('full-width Latin letters and digits count as Japanese', () => {
+    const page = loadFixture('horizontal.html');
+    const getCharacterScript = page.internal('getCharacterScript');
+    const isJapaneseCharacter = page.internal('isJapaneseCharacter');
+    const isLookupScript = page.internal('isLookupScript');
+
+    assert.equal(getCharacterScript('Ｄ'), 'fullwidth');
+    assert.equal(getCharacterScript('０'), 'fullwidth');
+    assert.equal(getCharacterScript('ｱ'), 'katakana');
+    assert.equal(getCharacterScript('D'), 'latin');
+    assert.ok(isJapaneseCharacter('Ｄ'));
+    assert.ok(isLookupScript('ＤＶＤ'));
+    assert.ok(!isLookupScript('DVD'));
+});
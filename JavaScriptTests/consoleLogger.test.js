@@ -0,0 +1,37 @@
+// consoleLogger.test.js - Level filtering of console output sent to Swift and kept in history
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./support/page');
+
+// Log one message at every level and return the levels that reached Swift
+function sendEveryLevel(page, minLevel) {
+    const logger = page.window.shioriConsoleLogger;
+    logger.configure({ minLevel: minLevel });
+    page.messages.length = 0;
+
+    for (const level of ['debug', 'log', 'info', 'warn']) {
+        page.window.console[level](`${level} message`);
+        logger.flush();
+    }
+    return page.messages.map(message => message.body.replace(/^.*?(\w+) message$/s, '$1'));
+}
+
+test('log and info share a level', () => {
+    const page = loadFixture('horizontal.html', { scripts: ['consoleLogger.js'] });
+
+    assert.deepEqual(sendEveryLevel(page, 'info'), ['log', 'info', 'warn']);
+    assert.deepEqual(sendEveryLevel(page, 'log'), ['log', 'info', 'warn']);
+    assert.deepEqual(sendEveryLevel(page, 'warn'), ['warn']);
+});
+
+test('levels below the filter are still kept for diagnostics', () => {
+    const page = loadFixture('horizontal.html', { scripts: ['consoleLogger.js'] });
+    const logger = page.window.shioriConsoleLogger;
+
+    assert.deepEqual(sendEveryLevel(page, 'warn'), ['warn']);
+    page.window.console.trace('trace message');
+
+    const levels = Array.from(logger.getRecentLogs(), line => line.replace(/^\S+ \[(\w+)\].*$/s, '$1'));
+    assert.deepEqual(levels.slice(-5), ['debug', 'log', 'info', 'warn', 'trace']);
+});
@@ -0,0 +1,28 @@
+// debugMode.test.js - The tap debug overlay Swift turns on from Settings
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./support/page');
+const { installCharacterGrid, cellSize } = require('./support/layout');
+
+// Tap 猫 on the first line of the horizontal fixture
+function tapCat(page) {
+    const point = { clientX: 3.25 * cellSize, clientY: cellSize / 2, bubbles: true };
+    page.document.getElementById('plain').dispatchEvent(new page.window.MouseEvent('click', point));
+}
+
+test('the overlay follows the setting applied after injection', () => {
+    const page = loadFixture('horizontal.html');
+    installCharacterGrid(page.window, { writingMode: 'horizontal-tb' });
+
+    tapCat(page);
+    assert.equal(page.document.getElementById('shiori-debug-overlay'), null);
+
+    // What WordTapHandler evaluates once the script is injected
+    page.window.eval('window.shiori && window.shiori.setDebugMode(true);');
+    tapCat(page);
+    assert.match(page.document.querySelector('.shiori-debug-panel').textContent, /absoluteOffset: 3/);
+
+    page.window.eval('window.shiori && window.shiori.setDebugMode(false);');
+    assert.equal(page.document.getElementById('shiori-debug-overlay'), null);
+});
@@ -0,0 +1,66 @@
+// diagnostics.test.js - Exported taps replay to the same payloads
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./support/page');
+const { installCharacterGrid, cellSize, linePitch, pageWidth } = require('./support/layout');
+const { replayDiagnostics } = require('./support/replay');
+
+// Tap 猫 past its middle and the second base character of 漢字 in the horizontal fixture
+function tapHorizontalFixture() {
+    const page = loadFixture('horizontal.html');
+    installCharacterGrid(page.window, { writingMode: 'horizontal-tb' });
+    const tap = (id, x, y) => page.document.getElementById(id).dispatchEvent(
+        new page.window.MouseEvent('click', { bubbles: true, clientX: x, clientY: y }));
+
+    tap('plain', 3.8 * cellSize, cellSize / 2);
+    tap('ruby', 1.3 * cellSize, linePitch + cellSize / 2);
+    return page;
+}
+
+// The payloads of a bundle, as plain data
+function recordedPayloads(bundleJson) {
+    return JSON.parse(bundleJson).taps.map(tap => tap.payload);
+}
+
+test('a plain bundle replays to the recorded payloads', () => {
+    const page = tapHorizontalFixture();
+    const bundle = page.window.shiori.exportDiagnostics();
+
+    const replays = replayDiagnostics(bundle);
+    assert.equal(replays.length, 2);
+    for (const replay of replays) {
+        assert.deepEqual(replay.replayed, replay.recorded);
+    }
+    assert.deepEqual(replays.map(replay => replay.absoluteOffset), [3, 1]);
+    assert.deepEqual(replays.map(replay => replay.replayed.text), ['猫である。名前はまだ無い。', '字を読む']);
+});
+
+test('an anonymised bundle replays to the same anonymised payloads', () => {
+    const page = tapHorizontalFixture();
+    const bundle = page.window.shiori.exportDiagnostics({ anonymise: true });
+    assert.doesNotMatch(bundle, /猫|漢字|かんじ/);
+
+    const replays = replayDiagnostics(bundle);
+    assert.deepEqual(replays.map(replay => replay.replayed), recordedPayloads(bundle));
+    assert.deepEqual(replays.map(replay => replay.absoluteOffset), [3, 1]);
+    assert.equal(replays[1].replayed.reading, 'あああ');
+});
+
+test('a vertical tap replays in its writing mode, with the sentence running into the next paragraph', () => {
+    const page = loadFixture('vertical-rl.html');
+    installCharacterGrid(page.window, { writingMode: 'vertical-rl' });
+    page.document.getElementById('plain').dispatchEvent(new page.window.MouseEvent('click', {
+        bubbles: true,
+        clientX: pageWidth - linePitch + cellSize / 2,
+        clientY: 3.8 * cellSize
+    }));
+
+    const bundle = page.window.shiori.exportDiagnostics();
+    assert.equal(JSON.parse(bundle).taps[0].writingMode, 'vertical-rl');
+
+    const [replay] = replayDiagnostics(bundle);
+    assert.deepEqual(replay.replayed, replay.recorded);
+    assert.equal(replay.replayed.text, '猫である');
+    assert.equal(replay.replayed.surroundingText, '吾輩は猫である漢字を読む');
+});
@@ -0,0 +1,62 @@
+// furiganaModes.test.js - Hiding and revealing furigana, but never emphasis dots
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./support/page');
+const { installCharacterGrid, cellSize, linePitch } = require('./support/layout');
+
+// Load the fixture laid out horizontally in a furigana mode
+function loadInMode(mode) {
+    const page = loadFixture('furigana.html');
+    installCharacterGrid(page.window, { writingMode: 'horizontal-tb' });
+    assert.equal(page.window.shiori.setFuriganaMode(mode), true);
+    return page;
+}
+
+// Whether the reading of a ruby element is drawn
+function isReadingVisible(page, rubyId) {
+    const rt = page.document.querySelector(`#${rubyId} rt`);
+    return page.window.getComputedStyle(rt).visibility !== 'hidden';
+}
+
+// Tap the first base character of a ruby element, returning the lookups it sent
+function tapRuby(page, rubyId, line) {
+    page.messages.length = 0;
+    page.document.getElementById(rubyId).dispatchEvent(new page.window.MouseEvent('click', {
+        bubbles: true,
+        clientX: cellSize / 4,
+        clientY: line * linePitch + cellSize / 2
+    }));
+    return page.messages.filter(message => message.name === 'wordTapped').map(message => message.body.text);
+}
+
+test('hide mode hides readings but not emphasis dots', () => {
+    const page = loadInMode('hide');
+
+    assert.equal(isReadingVisible(page, 'reading'), false);
+    assert.equal(isReadingVisible(page, 'emphasis'), true);
+});
+
+test('reveal mode shows emphasis dots and looks them up on the first tap', () => {
+    const page = loadInMode('reveal');
+    assert.equal(isReadingVisible(page, 'emphasis'), true);
+
+    assert.deepEqual(tapRuby(page, 'emphasis', 0), ['大事なこと']);
+});
+
+test('reveal mode still spends the first tap on a hidden reading', () => {
+    const page = loadInMode('reveal');
+    assert.equal(isReadingVisible(page, 'reading'), false);
+
+    assert.deepEqual(tapRuby(page, 'reading', 1), []);
+    assert.equal(isReadingVisible(page, 'reading'), true);
+    assert.deepEqual(tapRuby(page, 'reading', 1), ['漢字を読む']);
+});
+
+test('showing furigana again drops the emphasis marking', () => {
+    const page = loadInMode('hide');
+    page.window.shiori.setFuriganaMode('show');
+
+    assert.equal(page.document.querySelector('.shiori-emphasis'), null);
+    assert.equal(isReadingVisible(page, 'reading'), true);
+});
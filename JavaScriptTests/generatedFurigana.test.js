@@ -0,0 +1,64 @@
+// generatedFurigana.test.js - Highlights on words that generated furigana wraps
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./support/page');
+
+// The text each range of a highlight covers
+function highlightedText(page, name) {
+    const highlight = page.window.CSS.highlights.get(name);
+    return highlight ? [...highlight].map(range => range.toString()) : [];
+}
+
+// Load the fixture with an annotation, a vocabulary mark and a dictionary match on 猫
+function loadHighlightedPage() {
+    const page = loadFixture('horizontal.html', { highlights: true });
+    const { window, document } = page;
+    const text = document.getElementById('plain').firstChild;
+
+    const range = document.createRange();
+    range.setStart(text, 3);
+    range.setEnd(text, 4);
+    window.getSelection().addRange(range);
+    const annotation = window.shiori.createAnnotation({ color: 'yellow' });
+    assert.ok(annotation);
+
+    window.shiori.applyVocabularyMarks([{ text: '猫', status: 'known' }]);
+    page.internal('rememberLookupContext')(document.getElementById('plain'), 0, 3);
+    assert.equal(window.shiori.highlightMatch(3, 1), true);
+
+    return page;
+}
+
+// Check that every highlight still covers 猫
+function assertHighlightsOnCat(page) {
+    assert.deepEqual(highlightedText(page, 'shiori-annotation-0'), ['猫']);
+    assert.deepEqual(highlightedText(page, 'shiori-vocab-known'), ['猫']);
+    assert.deepEqual(highlightedText(page, 'shiori-match'), ['猫']);
+}
+
+test('highlights are redrawn after furigana is generated over them', () => {
+    const page = loadHighlightedPage();
+
+    assert.equal(page.window.shiori.applyGeneratedFurigana(0, [{ start: 3, end: 4, reading: 'ねこ' }]), 1);
+
+    assertHighlightsOnCat(page);
+});
+
+test('highlights are redrawn after generated furigana is removed', () => {
+    const page = loadHighlightedPage();
+    page.window.shiori.applyGeneratedFurigana(0, [{ start: 3, end: 4, reading: 'ねこ' }]);
+
+    assert.equal(page.window.shiori.removeGeneratedFurigana(), 1);
+
+    assertHighlightsOnCat(page);
+});
+
+test('a dismissed match stays dismissed', () => {
+    const page = loadHighlightedPage();
+    page.window.shiori.clearMatchHighlight();
+
+    page.window.shiori.applyGeneratedFurigana(0, [{ start: 3, end: 4, reading: 'ねこ' }]);
+
+    assert.deepEqual(highlightedText(page, 'shiori-match'), []);
+});
@@ -0,0 +1,45 @@
+// lifecycle.test.js - Injecting the page script again on a page that already runs it
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./support/page');
+
+test('injecting again keeps the running instance and its state', () => {
+    const page = loadFixture('horizontal.html');
+    const shiori = page.window.shiori;
+    shiori.setFuriganaMode('hide');
+    shiori.setDebugMode(true);
+    assert.equal(shiori.applyGeneratedFurigana(0, [{ start: 3, end: 4, reading: 'ねこ' }]), 1);
+
+    page.inject();
+
+    assert.equal(page.window.shiori, shiori);
+    assert.equal(shiori.isInitialized(), true);
+    assert.equal(page.internal('furiganaSettings').mode, 'hide');
+    assert.equal(page.internal('debugSettings').enabled, true);
+    assert.equal(page.document.querySelectorAll('ruby[data-shiori-generated]').length, 1);
+    assert.equal(page.messages.filter(message => message.body.type === 'ready').length, 1);
+});
+
+test('injecting after an explicit destroy starts a new instance', () => {
+    const page = loadFixture('horizontal.html');
+    const shiori = page.window.shiori;
+    shiori.destroy();
+
+    page.inject();
+
+    assert.notEqual(page.window.shiori, shiori);
+    assert.equal(page.window.shiori.isInitialized(), true);
+});
+
+test('injecting a different version replaces the running instance', () => {
+    const page = loadFixture('horizontal.html');
+    const shiori = page.window.shiori;
+    shiori.setFuriganaMode('hide');
+    shiori.scriptVersion = 0;
+
+    page.inject();
+
+    assert.notEqual(page.window.shiori, shiori);
+    assert.equal(shiori.isInitialized(), false);
+});
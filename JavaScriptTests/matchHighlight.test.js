@@ -0,0 +1,49 @@
+// matchHighlight.test.js - Highlighting what the dictionary matched, as the popup's picker moves
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./support/page');
+const { installCharacterGrid, cellSize } = require('./support/layout');
+
+// The text each range of the match highlight covers
+function matchedText(page) {
+    const highlight = page.window.CSS.highlights.get('shiori-match');
+    return highlight ? [...highlight].map(range => range.toString()) : [];
+}
+
+// Load the horizontal fixture and tap a character of its first line
+function tapCharacter(index) {
+    const page = loadFixture('horizontal.html', { highlights: true });
+    installCharacterGrid(page.window, { writingMode: 'horizontal-tb' });
+    const point = { clientX: (index + 0.25) * cellSize, clientY: cellSize / 2, bubbles: true };
+    page.document.getElementById('plain').dispatchEvent(new page.window.MouseEvent('click', point));
+    return page;
+}
+
+test('the match is highlighted, moved with the picker and cleared on dismissal', () => {
+    const page = tapCharacter(3);
+    const shiori = page.window.shiori;
+    const tap = page.messages.find(message => message.name === 'wordTapped').body;
+    assert.equal(tap.absoluteOffset, 3);
+
+    // Swift matched 猫 at the tapped character
+    assert.equal(shiori.highlightMatch(tap.absoluteOffset, 1), true);
+    assert.deepEqual(matchedText(page), ['猫']);
+
+    // The picker moved back to 吾輩, which matched two characters
+    assert.equal(shiori.highlightMatch(0, 2), true);
+    assert.deepEqual(matchedText(page), ['吾輩']);
+
+    // The popup was closed natively
+    assert.equal(shiori.clearMatchHighlight(), true);
+    assert.deepEqual(matchedText(page), []);
+});
+
+test('nothing is highlighted before a lookup or for an empty match', () => {
+    const page = loadFixture('horizontal.html', { highlights: true });
+    assert.equal(page.window.shiori.highlightMatch(0, 2), false);
+
+    const tapped = tapCharacter(3);
+    assert.equal(tapped.window.shiori.highlightMatch(3, 0), false);
+    assert.deepEqual(matchedText(tapped), []);
+});
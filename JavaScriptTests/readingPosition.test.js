@@ -0,0 +1,89 @@
+// readingPosition.test.js - Finding the first character on screen and returning to it
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./support/page');
+const { installCharacterGrid, linePitch } = require('./support/layout');
+
+// Load the sentences fixture laid out one paragraph per line, scrolled down the given number of lines
+function loadScrolledPage(lines = 0) {
+    const page = loadFixture('sentences.html');
+    installCharacterGrid(page.window, { writingMode: 'horizontal-tb' });
+    page.document.documentElement.scrollTop = lines * linePitch;
+    return page;
+}
+
+// The current reading position as plain data
+function readingPosition(page) {
+    const position = page.window.shiori.getReadingPosition();
+    return position ? { ...position } : null;
+}
+
+test('the position is the first character fully on screen', () => {
+    const page = loadScrolledPage();
+
+    assert.deepEqual(readingPosition(page), {
+        paragraphIndex: 0,
+        offset: 0,
+        paragraphPrefix: '猫が好きだ。猫は可愛い。',
+        textAfter: '猫が好きだ。猫は可愛い。',
+        href: 'about:blank'
+    });
+
+    page.document.documentElement.scrollTop = 2 * linePitch;
+    page.document.documentElement.scrollLeft = 60;
+    assert.deepEqual(readingPosition(page), {
+        paragraphIndex: 2,
+        offset: 3,
+        paragraphPrefix: '「はい。」「いいえ。」',
+        textAfter: '。」「いいえ。」',
+        href: 'about:blank'
+    });
+});
+
+test('a reported position is scrolled back to after a relayout', () => {
+    const saved = readingPosition(loadScrolledPage(3));
+    assert.equal(saved.paragraphIndex, 3);
+
+    const page = loadScrolledPage();
+    assert.equal(page.window.shiori.restoreReadingPosition(saved), true);
+
+    assert.equal(page.document.documentElement.scrollTop, 3 * linePitch);
+    assert.deepEqual(readingPosition(page), saved);
+});
+
+test('a position is found by its text when paragraphs move', () => {
+    const saved = readingPosition(loadScrolledPage(2));
+
+    const page = loadFixture('sentences.html');
+    const inserted = page.document.createElement('p');
+    inserted.textContent = '前書き。';
+    page.document.body.insertBefore(inserted, page.document.body.firstElementChild);
+    installCharacterGrid(page.window, { writingMode: 'horizontal-tb' });
+
+    assert.equal(page.window.shiori.restoreReadingPosition(saved), true);
+    assert.equal(page.document.documentElement.scrollTop, 3 * linePitch);
+    assert.equal(readingPosition(page).paragraphIndex, 3);
+});
+
+test('a position from another chapter is ignored', () => {
+    const saved = { ...readingPosition(loadScrolledPage(2)), href: 'https://example.com/chapter2.xhtml' };
+
+    const page = loadScrolledPage();
+    assert.equal(page.window.shiori.restoreReadingPosition(saved), false);
+    assert.equal(page.document.documentElement.scrollTop, 0);
+});
+
+test('the position is reported once scrolling settles', async () => {
+    const page = loadScrolledPage();
+    page.window.shiori.setReadingPositionReporting(true, { reportDelay: 0 });
+
+    page.document.documentElement.scrollTop = linePitch;
+    page.window.dispatchEvent(new page.window.Event('scroll'));
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const reports = page.messages.filter(message => message.body.type === 'readingPosition');
+    assert.equal(reports.length, 1);
+    assert.equal(reports[0].body.paragraphIndex, 1);
+    assert.equal(reports[0].body.href, 'about:blank');
+});
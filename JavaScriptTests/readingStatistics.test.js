@@ -0,0 +1,53 @@
+// readingStatistics.test.js - Counting characters read without counting a page twice
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./support/page');
+const { installCharacterGrid } = require('./support/layout');
+
+// Load the fixture with every character on screen and counting turned on
+function loadCountingPage(options = {}) {
+    const page = loadFixture('horizontal.html');
+    installCharacterGrid(page.window, { writingMode: 'horizontal-tb' });
+    page.window.shiori.setReadingStatistics(true, options);
+    return page;
+}
+
+// The charactersRead messages sent so far
+function charactersReadMessages(page) {
+    return page.messages.filter(message => message.body.type === 'charactersRead').map(message => message.body);
+}
+
+test('characters on screen are counted once', () => {
+    const page = loadCountingPage();
+    const countVisibleCharacters = page.internal('countVisibleCharacters');
+
+    // 吾輩は猫である名前はまだ無い and 漢字を読む, without punctuation or furigana
+    assert.equal(countVisibleCharacters(), 19);
+    assert.equal(countVisibleCharacters(), 0);
+
+    const [message] = charactersReadMessages(page);
+    assert.equal(message.count, 19);
+    assert.deepEqual(JSON.parse(JSON.stringify(message.counted)), [[1, 8], [9, 16], [18, 23]]);
+});
+
+test('a replaced instance doesn\'t count the page again', () => {
+    const page = loadCountingPage();
+    page.internal('countVisibleCharacters')();
+    page.window.shiori.destroy();
+
+    page.inject();
+    page.window.shiori.setReadingStatistics(true);
+
+    assert.equal(page.internal('countVisibleCharacters')(), 0);
+});
+
+test('ranges passed back from Swift aren\'t counted again', () => {
+    const first = loadCountingPage();
+    first.internal('countVisibleCharacters')();
+    const [message] = charactersReadMessages(first);
+
+    const revisit = loadCountingPage({ counted: message.counted });
+
+    assert.equal(revisit.internal('countVisibleCharacters')(), 0);
+});
@@ -0,0 +1,68 @@
+// rubyModel.test.js - Pairing ruby bases with their readings in every markup variant
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./support/page');
+
+// The pairs of a ruby element as [base text, reading, start, end, annotation texts]
+function rubyPairs(page, rubyId) {
+    const getRubyModel = page.internal('getRubyModel');
+    return Array.from(getRubyModel(page.document.getElementById(rubyId)), pair => [
+        pair.text,
+        pair.reading,
+        pair.start,
+        pair.end,
+        Array.from(pair.readingElements, element => element.textContent)
+    ]);
+}
+
+test('mono ruby gives a pair per character', () => {
+    const page = loadFixture('ruby.html');
+
+    assert.deepEqual(rubyPairs(page, 'mono'), [['漢', 'かん', 0, 1, ['かん']], ['字', 'じ', 1, 2, ['じ']]]);
+});
+
+test('group ruby gives one pair, without its parentheses', () => {
+    const page = loadFixture('ruby.html');
+
+    assert.deepEqual(rubyPairs(page, 'group'), [['漢字', 'かんじ', 0, 2, ['かんじ']]]);
+});
+
+test('interleaved and tabular rb markup pair bases with readings in order', () => {
+    const page = loadFixture('ruby.html');
+    const expected = [['漢', 'かん', 0, 1, ['かん']], ['字', 'じ', 1, 2, ['じ']]];
+
+    assert.deepEqual(rubyPairs(page, 'interleaved'), expected);
+    assert.deepEqual(rubyPairs(page, 'tabular'), expected);
+});
+
+test('rtc readings pair with each base and later levels stay attached', () => {
+    const page = loadFixture('ruby.html');
+
+    assert.deepEqual(rubyPairs(page, 'rtc'), [
+        ['東', 'とう', 0, 1, ['とう', 'Tokyo']],
+        ['京', 'きょう', 1, 2, ['きょう', 'Tokyo']]
+    ]);
+    assert.deepEqual(rubyPairs(page, 'rtc-group'), [['東京', 'とうきょう', 0, 2, ['（とうきょう）']]]);
+});
+
+test('nested ruby keeps the outer annotation on the whole inner ruby', () => {
+    const page = loadFixture('ruby.html');
+
+    assert.deepEqual(rubyPairs(page, 'nested'), [['東京', 'Tokyo', 0, 2, ['Tokyo']]]);
+
+    // Exports use the inner readings, which are the furigana
+    page.internal('rememberLookupContext')(page.document.getElementById('nested-paragraph'), 0, 0);
+    assert.equal(page.window.shiori.exportSentence().anki, '東[とう] 京[きょう]へ。');
+});
+
+test('kana inside the base belongs to the pair', () => {
+    const page = loadFixture('ruby.html');
+
+    assert.deepEqual(rubyPairs(page, 'okurigana'), [['取り扱', 'とりあつか', 0, 3, ['とりあつか']]]);
+
+    page.internal('rememberLookupContext')(page.document.getElementById('okurigana-paragraph'), 0, 1);
+    const exported = page.window.shiori.exportSentence({ targetMarker: 'bold' });
+    assert.equal(exported.anki, '<b>取り扱[とりあつか]</b>い方。');
+    assert.equal(exported.target, '取り扱');
+});
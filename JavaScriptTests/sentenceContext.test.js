@@ -0,0 +1,73 @@
+// sentenceContext.test.js - Finding the sentence around a looked-up word
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./support/page');
+
+// The sentence around a character of a fixture paragraph, with its parts as
+// [paragraph id, start, end]
+function sentenceAt(page, paragraphId, offset, targetLength = 1) {
+    const getSentenceContext = page.internal('getSentenceContext');
+    const context = getSentenceContext(page.document.getElementById(paragraphId), offset, targetLength, 250);
+    return {
+        sentence: context.sentence,
+        targetStart: context.targetStart,
+        targetEnd: context.targetEnd,
+        parts: Array.from(context.parts, part => [part.element.id, part.start, part.end])
+    };
+}
+
+test('a repeated word gets the sentence it was tapped in', () => {
+    const page = loadFixture('sentences.html');
+
+    assert.deepEqual(sentenceAt(page, 'repeated', 0), {
+        sentence: '猫が好きだ。', targetStart: 0, targetEnd: 1, parts: [['repeated', 0, 6]]
+    });
+    assert.deepEqual(sentenceAt(page, 'repeated', 6), {
+        sentence: '猫は可愛い。', targetStart: 0, targetEnd: 1, parts: [['repeated', 6, 12]]
+    });
+});
+
+test('sentence enders inside nested quotes don\'t end the sentence', () => {
+    const page = loadFixture('sentences.html');
+    const findSentenceEnds = page.internal('findSentenceEnds');
+
+    assert.deepEqual([...findSentenceEnds('彼は「母は『早く来て。』と言った。」と話した。次の文。')], [23, 27]);
+    assert.deepEqual(sentenceAt(page, 'nested', 6, 4), {
+        sentence: '彼は「母は『早く来て。』と言った。」と話した。', targetStart: 6, targetEnd: 10, parts: [['nested', 0, 23]]
+    });
+});
+
+test('back-to-back quotes are separate sentences', () => {
+    const page = loadFixture('sentences.html');
+    const findSentenceEnds = page.internal('findSentenceEnds');
+
+    assert.deepEqual([...findSentenceEnds('「はい。」「いいえ。」')], [5, 11]);
+    assert.equal(sentenceAt(page, 'back-to-back', 1).sentence, '「はい。」');
+    assert.equal(sentenceAt(page, 'back-to-back', 6).sentence, '「いいえ。」');
+});
+
+test('an unfinished sentence continues into the next paragraph', () => {
+    const page = loadFixture('sentences.html');
+
+    assert.deepEqual(sentenceAt(page, 'continued', 3), {
+        sentence: '吾輩は猫である。', targetStart: 3, targetEnd: 4, parts: [['continued', 0, 5], ['continuation', 0, 3]]
+    });
+    assert.deepEqual(sentenceAt(page, 'continuation', 0, 2), {
+        sentence: '吾輩は猫である。', targetStart: 5, targetEnd: 7, parts: [['continued', 0, 5], ['continuation', 0, 3]]
+    });
+
+    // The next sentence of the continuation stands on its own
+    assert.deepEqual(sentenceAt(page, 'continuation', 3), {
+        sentence: '名前はまだ無い。', targetStart: 0, targetEnd: 1, parts: [['continuation', 3, 11]]
+    });
+});
+
+test('the segmenter\'s boundaries inside quotes are dropped', () => {
+    const page = loadFixture('sentences.html');
+    page.internal('sentenceSettings').useIntlSegmenter = true;
+
+    // The segmenter also breaks after 。」, which the punctuation rules don't
+    assert.equal(sentenceAt(page, 'nested', 6).sentence, '彼は「母は『早く来て。』と言った。」');
+    assert.equal(sentenceAt(page, 'repeated', 6).sentence, '猫は可愛い。');
+});
@@ -0,0 +1,75 @@
+// sentenceExport.test.js - Exporting the looked-up sentence for Anki
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./support/page');
+
+// Load the fixture as if a character of a paragraph had been tapped, optionally
+// with the match Swift highlighted
+function lookUp(paragraphId, offset, match) {
+    const page = loadFixture('export.html', { highlights: true });
+    page.internal('rememberLookupContext')(page.document.getElementById(paragraphId), 0, offset);
+    if (match) {
+        assert.equal(page.window.shiori.highlightMatch(match.start, match.length), true);
+    }
+    return page;
+}
+
+// Every format of the export, as a plain object
+function exportSentence(page, options) {
+    return { ...page.window.shiori.exportSentence(options) };
+}
+
+test('every format is rendered without a marker', () => {
+    const page = lookUp('kanji', 3, { start: 3, length: 2 });
+
+    assert.deepEqual(exportSentence(page), {
+        plain: '今日は漢字を書く。',
+        anki: '今日は 漢字[かんじ]を書く。',
+        html: '今日は<ruby>漢字<rt>かんじ</rt></ruby>を書く。',
+        target: '漢字'
+    });
+});
+
+test('the match is marked in bold and as a cloze', () => {
+    const page = lookUp('kanji', 3, { start: 3, length: 2 });
+
+    assert.deepEqual(exportSentence(page, { targetMarker: 'bold' }), {
+        plain: '今日は<b>漢字</b>を書く。',
+        anki: '今日は<b>漢字[かんじ]</b>を書く。',
+        html: '今日は<b><ruby>漢字<rt>かんじ</rt></ruby></b>を書く。',
+        target: '漢字'
+    });
+    assert.deepEqual(exportSentence(page, { targetMarker: 'cloze', clozeIndex: 2 }), {
+        plain: '今日は{{c2::漢字}}を書く。',
+        anki: '今日は{{c2:: 漢字[かんじ]}}を書く。',
+        html: '今日は{{c2::<ruby>漢字<rt>かんじ</rt></ruby>}}を書く。',
+        target: '漢字'
+    });
+});
+
+test('without a match the target is the whole ruby word the tap was in', () => {
+    const page = lookUp('tokyo', 0);
+
+    const exported = exportSentence(page, { targetMarker: 'cloze' });
+    assert.equal(exported.plain, '{{c1::東京}}へ行く。');
+    assert.equal(exported.anki, '{{c1:: 東京[とうきょう]}}へ行く。');
+    assert.equal(exported.target, '東京');
+});
+
+test('a match starting inside ruby is marked and returned from the start of the ruby', () => {
+    const page = lookUp('tokyo', 1, { start: 1, length: 2 });
+
+    const exported = exportSentence(page, { targetMarker: 'cloze' });
+    assert.equal(exported.plain, '{{c1::東京へ}}行く。');
+    assert.equal(exported.html, '{{c1::<ruby>東京<rt>とうきょう</rt></ruby>へ}}行く。');
+    assert.equal(exported.target, '東京へ');
+});
+
+test('an explicit target in payload characters overrides the match', () => {
+    const page = lookUp('kanji', 3, { start: 3, length: 2 });
+
+    const exported = exportSentence(page, { targetMarker: 'bold', targetStart: 5, targetLength: 1 });
+    assert.equal(exported.plain, '今日は漢字<b>を</b>書く。');
+    assert.equal(exported.target, 'を');
+});
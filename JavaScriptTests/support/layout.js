@@ -0,0 +1,139 @@
+// layout.js - A fixed character grid standing in for the layout jsdom doesn't do
+//
+// Every paragraph is one line (a column in vertical text) of square cells, and
+// every character of its text takes one cell, except that a text-combine-upright
+// run shares a single cell and ruby readings aren't laid out at all. Range boxes
+// and caretRangeFromPoint are stubbed to read from this grid, which moves with
+// the document's scrollTop and scrollLeft.
+
+const cellSize = 20;
+const linePitch = 40;
+const pageWidth = 600;
+
+// Lay out every paragraph of the body and install the stubs
+function installCharacterGrid(window, options = {}) {
+    const document = window.document;
+    const vertical = options.writingMode !== 'horizontal-tb';
+    const rightToLeft = options.writingMode === 'vertical-rl';
+    const cells = [];
+
+    document.querySelectorAll('body > p').forEach((paragraph, lineIndex) => {
+        const lineStart = rightToLeft ? pageWidth - (lineIndex + 1) * linePitch : lineIndex * linePitch;
+        let position = 0;
+
+        const walker = document.createTreeWalker(paragraph, window.NodeFilter.SHOW_TEXT);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            if (node.parentElement.closest('rt, rp')) {
+                continue;
+            }
+            const combined = window.getComputedStyle(node.parentElement).textCombineUpright === 'all';
+            for (let offset = 0; offset < node.data.length; offset++) {
+                const inline = position * cellSize;
+                cells.push({
+                    node: node,
+                    offset: offset,
+                    rect: vertical ?
+                          makeRect(lineStart, inline, cellSize, cellSize) :
+                          makeRect(inline, lineIndex * linePitch, cellSize, cellSize)
+                });
+                if (!combined || offset === node.data.length - 1) {
+                    position += 1;
+                }
+            }
+        }
+    });
+
+    const scroll = installScrollOffsets(document);
+    const cellsInView = () => cells.map(cell => ({
+        node: cell.node,
+        offset: cell.offset,
+        rect: makeRect(cell.rect.left - scroll.left, cell.rect.top - scroll.top, cell.rect.width, cell.rect.height)
+    }));
+
+    window.Range.prototype.getBoundingClientRect = function() {
+        return getRangeRect(this, cellsInView());
+    };
+    window.Range.prototype.getClientRects = function() {
+        const rect = getRangeRect(this, cellsInView());
+        return rect.width || rect.height ? [rect] : [];
+    };
+    document.caretRangeFromPoint = function(x, y) {
+        return findCaretAtPoint(window, cellsInView(), { x: x, y: y }, vertical);
+    };
+
+    return cells;
+}
+
+// Keep the scroll offsets the page sets, which jsdom always reports as 0
+function installScrollOffsets(document) {
+    const scroll = { left: 0, top: 0 };
+    for (const [property, key] of [['scrollLeft', 'left'], ['scrollTop', 'top']]) {
+        Object.defineProperty(document.documentElement, property, {
+            configurable: true,
+            get: () => scroll[key],
+            set: (value) => { scroll[key] = value; }
+        });
+    }
+    return scroll;
+}
+
+// A DOMRect-like box
+function makeRect(left, top, width, height) {
+    return { left: left, top: top, right: left + width, bottom: top + height, width: width, height: height, x: left, y: top };
+}
+
+// Union of the cells a range covers; a caret is a zero-size box at its cell
+function getRangeRect(range, cells) {
+    let rect = null;
+    for (const cell of cells) {
+        const inside = range.comparePoint(cell.node, cell.offset) === 0 &&
+                       range.comparePoint(cell.node, cell.offset + 1) === 0;
+        if (!inside) {
+            continue;
+        }
+        rect = rect ? makeRect(Math.min(rect.left, cell.rect.left),
+                               Math.min(rect.top, cell.rect.top),
+                               Math.max(rect.right, cell.rect.right) - Math.min(rect.left, cell.rect.left),
+                               Math.max(rect.bottom, cell.rect.bottom) - Math.min(rect.top, cell.rect.top)) :
+                      cell.rect;
+    }
+    if (rect) {
+        return rect;
+    }
+    if (range.collapsed) {
+        const cell = cells.find(candidate => candidate.node === range.startContainer && candidate.offset === range.startOffset);
+        if (cell) {
+            return makeRect(cell.rect.left, cell.rect.top, 0, 0);
+        }
+    }
+    return makeRect(0, 0, 0, 0);
+}
+
+// Place a caret the way WebKit does: on the nearest line, before the cell under
+// the point, or after it once the point is past the cell's middle
+function findCaretAtPoint(window, cells, point, vertical) {
+    let best = null;
+    for (const cell of cells) {
+        const across = vertical ?
+                       Math.max(cell.rect.left - point.x, 0, point.x - cell.rect.right) :
+                       Math.max(cell.rect.top - point.y, 0, point.y - cell.rect.bottom);
+        const along = vertical ?
+                      Math.max(cell.rect.top - point.y, 0, point.y - cell.rect.bottom) :
+                      Math.max(cell.rect.left - point.x, 0, point.x - cell.rect.right);
+        if (!best || across < best.across || (across === best.across && along < best.along)) {
+            best = { cell: cell, across: across, along: along };
+        }
+    }
+    if (!best) {
+        return null;
+    }
+
+    const { node, offset, rect } = best.cell;
+    const pastMiddle = vertical ? point.y > rect.top + rect.height / 2 : point.x > rect.left + rect.width / 2;
+    const range = new window.Range();
+    range.setStart(node, pastMiddle ? offset + 1 : offset);
+    range.collapse(true);
+    return range;
+}
+
+module.exports = { installCharacterGrid, cellSize, linePitch, pageWidth };
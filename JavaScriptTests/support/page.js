@@ -0,0 +1,105 @@
+// page.js - Load a fixture with the injected scripts, the way the reader's web view does
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const scriptDirectory = path.join(__dirname, '..', '..', 'Shiori Reader', 'JavaScript');
+const fixtureDirectory = path.join(__dirname, '..', 'fixtures');
+
+// Native handlers the page can post to
+const handlerNames = [
+    'wordTapped',
+    'dismissDictionary',
+    'rangeSelected',
+    'shioriMessage',
+    'shioriLog',
+    'consoleLog'
+];
+
+// jsdom resolves writing-mode and text-combine-upright from the cascade but,
+// unlike a browser, doesn't inherit writing-mode from the parent
+function inheritWritingMode(window) {
+    const getComputedStyle = window.getComputedStyle.bind(window);
+    window.getComputedStyle = function(element, pseudo) {
+        const style = getComputedStyle(element, pseudo);
+        let writingMode = style.writingMode;
+        for (let parent = element.parentElement; !writingMode && parent; parent = parent.parentElement) {
+            writingMode = getComputedStyle(parent).writingMode;
+        }
+        return new Proxy(style, {
+            get(target, property) {
+                if (property === 'writingMode') {
+                    return writingMode || 'horizontal-tb';
+                }
+                const value = target[property];
+                return typeof value === 'function' ? value.bind(target) : value;
+            }
+        });
+    };
+}
+
+// Stand-ins for the CSS Custom Highlight API, which jsdom doesn't have;
+// each highlight keeps its ranges so tests can read them back
+function installCustomHighlights(window) {
+    window.CSS = { highlights: new Map() };
+    window.Highlight = class Highlight extends Set {
+        constructor(...ranges) {
+            super(ranges);
+        }
+    };
+}
+
+// Read a script from the app's JavaScript directory
+function readPageScript(fileName) {
+    return fs.readFileSync(path.join(scriptDirectory, fileName), 'utf8');
+}
+
+// Read wordSelection.js, exposing its private functions to the tests by name
+function readWordSelectionScript() {
+    return readPageScript('wordSelection.js')
+        .replace(/\}\)\(\);\s*$/, 'window.__shioriInternal = (name) => eval(name);\n})();\n');
+}
+
+// Load a fixture from the fixtures directory, as loadPage does
+function loadFixture(fixtureName, options = {}) {
+    return loadPage(fs.readFileSync(path.join(fixtureDirectory, fixtureName), 'utf8'), options);
+}
+
+// Load a page and run wordSelection.js in it, after any other scripts listed in
+// options.scripts; options.highlights adds the CSS Custom Highlight API
+function loadPage(html, options = {}) {
+    const dom = new JSDOM(html, { runScripts: 'outside-only', pretendToBeVisual: true });
+    const window = dom.window;
+    const messages = [];
+
+    window.webkit = { messageHandlers: {} };
+    for (const name of handlerNames) {
+        window.webkit.messageHandlers[name] = {
+            postMessage: (body) => messages.push({ name: name, body: body })
+        };
+    }
+    window.shioriLogHandlerName = 'shioriLog';
+    for (const level of ['trace', 'debug', 'log', 'info', 'warn']) {
+        window.console[level] = () => {};
+    }
+    inheritWritingMode(window);
+    if (options.highlights) {
+        installCustomHighlights(window);
+    }
+    for (const fileName of options.scripts || []) {
+        window.eval(readPageScript(fileName));
+    }
+    window.eval(readWordSelectionScript());
+
+    return {
+        window: window,
+        document: window.document,
+        messages: messages,
+        internal: (name) => window.__shioriInternal(name),
+        // Run the script again, as the host does on every page turn
+        inject: () => window.eval(readWordSelectionScript())
+    };
+}
+
+module.exports = { loadFixture, loadPage };
@@ -0,0 +1,85 @@
+// replay.js - Replay the taps of an exported diagnostics bundle in jsdom
+//
+// Each recorded paragraph is loaded between the neighbouring blocks recorded
+// with it, in the recorded writing mode.
+// jsdom has no layout, so every box is empty and caretRangeFromPoint answers
+// with the caret the tap resolved to on the device; with tap snapping off, the
+// script then follows the same path from that caret to the payload.
+
+const { loadPage } = require('./page');
+
+// Follow a child-index path down from a root
+function followNodePath(root, path) {
+    return path.reduce((node, index) => node && node.childNodes[index], root);
+}
+
+// Load a recorded paragraph with the settings the bundle was exported with
+function loadRecordedParagraph(tap, settings) {
+    const writingMode = tap.writingMode || 'horizontal-tb';
+    const blocks = [tap.previousHtml, tap.paragraphHtml, tap.nextHtml].filter(html => html).join('\n');
+    const page = loadPage(`<!DOCTYPE html><html><head><style>body { writing-mode: ${writingMode}; }</style></head>` +
+                          `<body>${blocks}</body></html>`);
+    page.window.shiori.setTapSnapping(false);
+    Object.assign(page.internal('sentenceSettings'), settings.sentence || {});
+    return page;
+}
+
+// Answer every layout query the way a page without layout would, except that
+// caretRangeFromPoint lands on the recorded caret
+function installRecordedCaret(page, paragraph, caret) {
+    const { window, document } = page;
+    const emptyRect = { left: 0, top: 0, right: 0, bottom: 0, width: 0, height: 0, x: 0, y: 0 };
+    window.Range.prototype.getBoundingClientRect = () => emptyRect;
+    window.Range.prototype.getClientRects = () => [];
+
+    const caretNode = caret && caret.path ? followNodePath(paragraph, caret.path) : null;
+    document.caretRangeFromPoint = function() {
+        if (!caretNode) {
+            return null;
+        }
+        const range = document.createRange();
+        range.setStart(caretNode, caret.offset);
+        range.collapse(true);
+        return range;
+    };
+}
+
+// Replay one recorded tap, returning the replayed record from the page's own diagnostics
+function replayTap(tap, settings = {}) {
+    if (!tap.paragraphHtml || !tap.targetPath) {
+        throw new Error('The tap has no paragraph snapshot to replay');
+    }
+
+    const page = loadRecordedParagraph(tap, settings);
+    const paragraph = page.document.body.children[tap.previousHtml ? 1 : 0];
+    installRecordedCaret(page, paragraph, tap.caret);
+
+    const target = followNodePath(paragraph, tap.targetPath);
+    target.dispatchEvent(new page.window.MouseEvent('click', {
+        bubbles: true,
+        clientX: tap.point.x,
+        clientY: tap.point.y
+    }));
+
+    const replayed = JSON.parse(page.window.shiori.exportDiagnostics({ anonymise: false })).taps;
+    return replayed[replayed.length - 1] || null;
+}
+
+// Replay every tap of an exported bundle, pairing each recorded payload with the replayed one
+function replayDiagnostics(bundleJson) {
+    const bundle = JSON.parse(bundleJson);
+    if (bundle.format !== 'shiori-diagnostics') {
+        throw new Error(`Not a diagnostics bundle: ${bundle.format}`);
+    }
+
+    return bundle.taps.map(tap => {
+        const replayed = replayTap(tap, bundle.settings);
+        return {
+            recorded: tap.payload,
+            replayed: replayed ? replayed.payload : null,
+            absoluteOffset: replayed ? replayed.absoluteOffset : null
+        };
+    });
+}
+
+module.exports = { replayTap, replayDiagnostics };
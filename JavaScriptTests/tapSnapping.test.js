@@ -0,0 +1,134 @@
+// tapSnapping.test.js - Snapping taps that miss every character to the nearest one
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./support/page');
+const { installCharacterGrid, cellSize, linePitch, pageWidth } = require('./support/layout');
+
+// Load a fixture and lay it out in the given writing mode
+function loadLaidOutFixture(fixtureName, writingMode) {
+    const page = loadFixture(fixtureName);
+    installCharacterGrid(page.window, { writingMode: writingMode });
+    return page;
+}
+
+// Describe a caret by its character, or null when there is none
+function describeCaret(range) {
+    return range ? range.startContainer.data.charAt(range.startOffset) : null;
+}
+
+// Lay the chapter out as Readium does when it shows pages
+function paginate(page) {
+    page.document.documentElement.style.columnWidth = `${pageWidth}px`;
+}
+
+test('a tap in the line gap just below a line snaps to the character above it', () => {
+    const page = loadLaidOutFixture('horizontal.html', 'horizontal-tb');
+    const findSnappedCaret = page.internal('findSnappedCaret');
+
+    // は is the third cell of the first line; the tap is 4px below it
+    const caret = findSnappedCaret({ x: 2.5 * cellSize, y: cellSize + 4 });
+
+    assert.equal(caret.startContainer, page.document.getElementById('plain').firstChild);
+    assert.equal(caret.startOffset, 2);
+    assert.equal(describeCaret(caret), 'は');
+});
+
+test('a tap past the end of a line snaps to its last character', () => {
+    const page = loadLaidOutFixture('horizontal.html', 'horizontal-tb');
+    const findSnappedCaret = page.internal('findSnappedCaret');
+
+    // 漢字を読む ends 5 cells in; the tap is 5px past む
+    assert.equal(describeCaret(findSnappedCaret({ x: 5 * cellSize + 5, y: linePitch + cellSize / 2 })), 'む');
+});
+
+test('a tap in vertical text snaps across the column gap', () => {
+    const page = loadLaidOutFixture('vertical-rl.html', 'vertical-rl');
+    const findSnappedCaret = page.internal('findSnappedCaret');
+
+    // The first column is the rightmost; the tap is 4px left of its fourth cell, 猫
+    const caret = findSnappedCaret({ x: pageWidth - linePitch + cellSize - 4, y: 3.5 * cellSize });
+
+    assert.equal(describeCaret(caret), '猫');
+});
+
+test('candidates only include lookup characters within the radius', () => {
+    const page = loadLaidOutFixture('horizontal.html', 'horizontal-tb');
+    const collectSnapCandidates = page.internal('collectSnapCandidates');
+
+    const candidates = collectSnapCandidates({ x: 2.5 * cellSize, y: cellSize + 4 });
+
+    assert.ok(candidates.length > 0);
+    for (const candidate of candidates) {
+        assert.ok(Math.hypot(candidate.distance.block, candidate.distance.inline) <= 20);
+        assert.notEqual(candidate.node.data.charAt(candidate.offset), '。');
+    }
+    assert.ok(candidates.some(candidate => candidate.offset === 2 && candidate.distance.block === 4 && candidate.distance.inline === 0));
+    // The second line is 16px away, so it is found too but isn't the nearest
+    assert.ok(candidates.some(candidate => candidate.distance.block === 16));
+});
+
+test('a tap as near to two lines as the ambiguity margin does not snap', () => {
+    const page = loadLaidOutFixture('horizontal.html', 'horizontal-tb');
+    const findSnappedCaret = page.internal('findSnappedCaret');
+    const between = { x: 2.5 * cellSize, y: cellSize + (linePitch - cellSize) / 2 };
+
+    // Halfway between the lines both are 10px away
+    assert.equal(findSnappedCaret(between), null);
+    // 1px nearer the first line leaves the lines 2px apart, within the 4px margin
+    assert.equal(findSnappedCaret({ x: between.x, y: between.y - 1 }), null);
+    // 2px nearer leaves them 4px apart, which is no longer ambiguous
+    assert.equal(describeCaret(findSnappedCaret({ x: between.x, y: between.y - 2 })), 'は');
+
+    // With no margin even the 1px nearer tap goes to the nearer line
+    page.window.shiori.setTapSnapping(true, { ambiguity: 0 });
+    assert.equal(describeCaret(findSnappedCaret({ x: between.x, y: between.y - 1 })), 'は');
+});
+
+test('a tap too far from every character does not snap', () => {
+    const page = loadLaidOutFixture('horizontal.html', 'horizontal-tb');
+    const findSnappedCaret = page.internal('findSnappedCaret');
+
+    assert.equal(findSnappedCaret({ x: 5 * cellSize + 25, y: linePitch + cellSize / 2 }), null);
+    assert.deepEqual(Array.from(page.internal('collectSnapCandidates')({ x: 400, y: 300 })), []);
+});
+
+test('taps in the page-turn zones of a paginated book do not snap', () => {
+    const page = loadLaidOutFixture('horizontal.html', 'horizontal-tb');
+    const findSnappedCaret = page.internal('findSnappedCaret');
+    const point = { x: 2.5 * cellSize, y: cellSize + 4 };
+
+    paginate(page);
+    // The left zone is the first 15% of the viewport, which covers は
+    assert.ok(point.x < page.window.innerWidth * 0.15);
+    assert.equal(findSnappedCaret(point), null);
+
+    // Outside the zone the same gap still snaps
+    assert.equal(describeCaret(findSnappedCaret({ x: 11.5 * cellSize, y: cellSize + 4 })), 'ま');
+
+    // Without a zone the tap snaps again
+    page.window.shiori.setTapSnapping(true, { pageTurnZone: 0 });
+    assert.equal(describeCaret(findSnappedCaret(point)), 'は');
+});
+
+test('page-turn zones only apply when the book is paginated', () => {
+    const page = loadLaidOutFixture('horizontal.html', 'horizontal-tb');
+
+    assert.equal(describeCaret(page.internal('findSnappedCaret')({ x: 2.5 * cellSize, y: cellSize + 4 })), 'は');
+});
+
+test('a snapped tap looks up the word and a page-turn tap does not', () => {
+    const page = loadLaidOutFixture('horizontal.html', 'horizontal-tb');
+    const paragraph = page.document.getElementById('plain');
+    const tap = (x, y) => paragraph.dispatchEvent(new page.window.MouseEvent('click', { bubbles: true, clientX: x, clientY: y }));
+
+    tap(11.5 * cellSize, cellSize + 4);
+    const lookups = page.messages.filter(message => message.name === 'wordTapped');
+    assert.equal(lookups.length, 1);
+    assert.match(lookups[0].body.text, /^まだ/);
+
+    paginate(page);
+    page.messages.length = 0;
+    tap(2.5 * cellSize, cellSize + 4);
+    assert.equal(page.messages.some(message => message.name === 'wordTapped'), false);
+});
@@ -0,0 +1,100 @@
+// writingMode.test.js - Tap-to-character mapping in vertical text
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./support/page');
+const { installCharacterGrid, cellSize, linePitch, pageWidth } = require('./support/layout');
+
+// Load a fixture and lay it out in the given writing mode
+function loadLaidOutFixture(fixtureName, writingMode) {
+    const page = loadFixture(fixtureName);
+    installCharacterGrid(page.window, { writingMode: writingMode });
+    return page;
+}
+
+// Centre of a cell, nudged along the inline axis by a fraction of the cell
+function pointInCell(column, index, inlineFraction, writingMode) {
+    const left = writingMode === 'vertical-rl' ? pageWidth - (column + 1) * linePitch : column * linePitch;
+    return { x: left + cellSize / 2, y: (index + inlineFraction) * cellSize };
+}
+
+test('axis distances swap in vertical text', () => {
+    const page = loadFixture('vertical-rl.html');
+    const getAxisDistances = page.internal('getAxisDistances');
+    const rect = { left: 100, right: 120, top: 40, bottom: 60 };
+
+    assert.deepEqual({ ...getAxisDistances(rect, { x: 130, y: 70 }, false) }, { inline: 10, block: 10 });
+    assert.deepEqual({ ...getAxisDistances(rect, { x: 125, y: 80 }, true) }, { inline: 20, block: 5 });
+    assert.deepEqual({ ...getAxisDistances(rect, { x: 110, y: 50 }, true) }, { inline: 0, block: 0 });
+});
+
+test('candidates on the same column win over nearer ones in the next column', () => {
+    const page = loadFixture('vertical-rl.html');
+    const isCloserOnAxes = page.internal('isCloserOnAxes');
+
+    assert.equal(isCloserOnAxes({ block: 0, inline: 30 }, { block: 5, inline: 0 }), true);
+    assert.equal(isCloserOnAxes({ block: 5, inline: 0 }, { block: 0, inline: 30 }), false);
+    assert.equal(isCloserOnAxes({ block: 0, inline: 3 }, null), true);
+});
+
+test('writing mode is read from the cascade', () => {
+    const rl = loadFixture('vertical-rl.html');
+    const lr = loadFixture('vertical-lr.html');
+    const isVerticalWritingMode = rl.internal('isVerticalWritingMode');
+    const isCombinedUpright = rl.internal('isCombinedUpright');
+
+    assert.equal(isVerticalWritingMode(rl.document.getElementById('plain').firstChild), true);
+    assert.equal(lr.internal('isVerticalWritingMode')(lr.document.getElementById('ruby')), true);
+    assert.equal(isCombinedUpright(rl.document.getElementById('tcy').firstChild), true);
+    assert.equal(isCombinedUpright(rl.document.getElementById('plain').firstChild), false);
+});
+
+for (const [fixtureName, writingMode] of [['vertical-rl.html', 'vertical-rl'], ['vertical-lr.html', 'vertical-lr']]) {
+    test(`${writingMode}: a tap on the lower half of a character starts from that character`, () => {
+        const page = loadLaidOutFixture(fixtureName, writingMode);
+        const getImprovedCaretPosition = page.internal('getImprovedCaretPosition');
+        const text = page.document.getElementById('plain').firstChild;
+
+        // WebKit puts the caret after 猫 (offset 4), but the tap is on 猫 itself
+        const point = pointInCell(0, 3, 0.8, writingMode);
+        assert.equal(page.document.caretRangeFromPoint(point.x, point.y).startOffset, 4);
+
+        const range = getImprovedCaretPosition(point);
+        assert.equal(range.startContainer, text);
+        assert.equal(range.startOffset, 3);
+    });
+
+    test(`${writingMode}: a tap on the upper half of a character keeps WebKit's caret`, () => {
+        const page = loadLaidOutFixture(fixtureName, writingMode);
+        const getImprovedCaretPosition = page.internal('getImprovedCaretPosition');
+
+        const range = getImprovedCaretPosition(pointInCell(0, 3, 0.2, writingMode));
+        assert.equal(range.startOffset, 3);
+    });
+
+    test(`${writingMode}: ruby base characters are found down the column`, () => {
+        const page = loadLaidOutFixture(fixtureName, writingMode);
+        const findRubyBaseIndexAtPoint = page.internal('findRubyBaseIndexAtPoint');
+        const ruby = page.document.getElementById('ruby');
+
+        assert.equal(findRubyBaseIndexAtPoint(ruby, pointInCell(1, 0, 0.5, writingMode)), 0);
+        assert.equal(findRubyBaseIndexAtPoint(ruby, pointInCell(1, 1, 0.5, writingMode)), 1);
+
+        // Beside the column, where the reading is drawn, the row still decides
+        const beside = pointInCell(1, 1, 0.5, writingMode);
+        beside.x += writingMode === 'vertical-rl' ? cellSize : -cellSize;
+        assert.equal(findRubyBaseIndexAtPoint(ruby, beside), 1);
+    });
+}
+
+test('vertical-rl: a tap anywhere on a tate-chu-yoko cell starts from its first digit', () => {
+    const page = loadLaidOutFixture('vertical-rl.html', 'vertical-rl');
+    const getImprovedCaretPosition = page.internal('getImprovedCaretPosition');
+    const tcy = page.document.getElementById('tcy').firstChild;
+
+    for (const fraction of [0.2, 0.8]) {
+        const range = getImprovedCaretPosition(pointInCell(2, 2, fraction, 'vertical-rl'));
+        assert.equal(range.startContainer, tcy);
+        assert.equal(range.startOffset, 0);
+    }
+});
@@ -25,6 +25,8 @@ class EPUBNavigatorCoordinator: NSObject, EPUBNavigatorDelegate, WKScriptMessage
     private func addMessageHandlers(_ userContentController: WKUserContentController) {
         userContentController.add(self, name: "wordTapped")
         userContentController.add(self, name: "dismissDictionary")
+        userContentController.add(self, name: "rangeSelected")
+        userContentController.add(self, name: "shioriMessage")
         userContentController.add(self, name: "shioriLog")
     }
 
@@ -134,8 +136,8 @@ class EPUBNavigatorCoordinator: NSObject, EPUBNavigatorDelegate, WKScriptMessage
                 console.log('Cleaning up previous event listeners before reinjection');
                 // Clean up any global event listeners that might have been added
                 try {
-                    if (window.shioriCleanupEventListeners) {
-                        window.shioriCleanupEventListeners();
+                    if (window.shiori && window.shiori.destroy) {
+                        window.shiori.destroy();
                         console.log('Cleanup function executed successfully');
                     } else {
                         console.log('No cleanup function found, proceeding with fresh injection');
@@ -204,7 +206,7 @@ class EPUBNavigatorCoordinator: NSObject, EPUBNavigatorDelegate, WKScriptMessage
     // This handles messages sent via `window.webkit.messageHandlers.yourName.postMessage(...)`
     func userContentController(_ userContentController: WKUserContentController, didReceive message: WKScriptMessage) {
          // Forward to the main message handling logic
-         handleScriptMessage(name: message.name, body: message.body)
+         handleScriptMessage(name: message.name, body: message.body, webView: message.webView)
     }
     
     // This handles messages sent via `window.R2NAVIGATOR_SEND_MESSAGE(...)`
@@ -215,14 +217,17 @@ class EPUBNavigatorCoordinator: NSObject, EPUBNavigatorDelegate, WKScriptMessage
     }
     
     @MainActor
-    private func handleScriptMessage(name: String, body: Any) {
+    private func handleScriptMessage(name: String, body: Any, webView: WKWebView? = nil) {
         switch name {
         case "shioriLog":
-            if let logMessage = body as? String {
-                Logger.jsLog(category: "Shiori", logMessage)
-            } else {
-                 Logger.jsLog(category: "Shiori", "Received non-string log message: \(body)")
-            }
+            // Log messages are {level, message} objects; older scripts sent plain strings
+            Logger.jsLog(category: "Shiori", ShioriPageMessage.logText(from: body))
+
+        case "rangeSelected":
+            wordTapHandler.handleRangeSelection(body: body)
+
+        case "shioriMessage":
+            wordTapHandler.handleShioriMessage(body: body, from: webView)
 
         case "wordTapped":
             guard let bodyString = body as? String, // Readium often sends payload as JSON string
@@ -36,7 +36,14 @@ class ReaderViewModel: ObservableObject {
     @Published private(set) var isCurrentLocationBookmarked: Bool = false
     
     // Dictionary related properties
-    @Published var showDictionary = false
+    @Published var showDictionary = false {
+        didSet {
+            // The page clears its own highlight when it dismisses the popup, but not when the popup is closed natively
+            if oldValue && !showDictionary {
+                evaluatePageScript("window.shiori && window.shiori.clearMatchHighlight();")
+            }
+        }
+    }
     @Published var selectedWord = ""
     @Published var fullTextForSelection = ""
     @Published var currentTextOffset = 0  // Track the current text offset
@@ -48,6 +55,11 @@ class ReaderViewModel: ObservableObject {
     @Published var dictionaryMatches: [DictionaryMatch] = []
     @Published var currentSentenceContext: String = ""
     
+    // State reported by the page script
+    @Published private(set) var pageReadingPosition: ShioriPageMessage.ReadingPosition?
+    @Published private(set) var charactersReadThisSession = 0
+    private var countedCharacterRanges: [String: [[Int]]] = [:]
+    
     // Animation settings
     private var animationSettings: DefaultAppearanceSettings?
     
@@ -549,6 +561,7 @@ class ReaderViewModel: ObservableObject {
                 self?.dictionaryMatches = matches
                 // Always show the dictionary even if no matches found
                 self?.showDictionary = true
+                self?.highlightDictionaryMatch()
             }
         }
     }
@@ -616,6 +629,7 @@ class ReaderViewModel: ObservableObject {
                 self?.showDictionary = true
                 
             }
+            self?.highlightDictionaryMatch()
         }
     }
     
@@ -851,6 +865,72 @@ class ReaderViewModel: ObservableObject {
         isCurrentLocationBookmarked = bookmarkRepository.isBookmarked(bookId: book.id, locator: locator)
     }
     
+    // Remember the character-precise reading position the page last reported
+    func handleReadingPosition(_ position: ShioriPageMessage.ReadingPosition) {
+        pageReadingPosition = position
+    }
+    
+    // Return to the character the page last reported once a preference or orientation change
+    // has been laid out. The position is taken now, before the relayout reports a new one.
+    func restorePageReadingPosition() {
+        guard let position = pageReadingPosition,
+              let data = try? JSONSerialization.data(withJSONObject: position.fields),
+              let positionJSON = String(data: data, encoding: .utf8) else {
+            return
+        }
+        
+        // Pages of other chapters ignore the position
+        let script = "window.shiori && window.shiori.restoreReadingPosition(\(positionJSON));"
+        DispatchQueue.main.asyncAfter(deadline: .now() + 1.0) { [weak self] in
+            self?.evaluatePageScript(script)
+        }
+    }
+    
+    // Add characters the page counted as newly read to this session's total
+    func handleCharactersRead(_ charactersRead: ShioriPageMessage.CharactersRead) {
+        charactersReadThisSession += charactersRead.count
+        countedCharacterRanges[charactersRead.href] = charactersRead.counted
+        Logger.debug(category: "ReaderViewModel", "Read \(charactersRead.count) characters in \(charactersRead.href) (\(charactersRead.totalCount) on the page)")
+    }
+    
+    // Ranges of a chapter already counted this session, so a revisit doesn't count them again
+    func countedCharacterRanges(for href: String) -> [[Int]] {
+        return countedCharacterRanges[href] ?? []
+    }
+    
+    // MARK: - Page Scripts
+    
+    // Highlight the best match in the page, from the picker's current character for as many characters as it matched
+    private func highlightDictionaryMatch() {
+        guard let length = dictionaryMatches.first?.word.count, length > 0 else {
+            evaluatePageScript("window.shiori && window.shiori.clearMatchHighlight();")
+            return
+        }
+        evaluatePageScript("window.shiori && window.shiori.highlightMatch(\(currentTextOffset), \(length));")
+    }
+    
+    // Run a script in every web view of the navigator; only the page that sent the lookup has one to highlight
+    private func evaluatePageScript(_ script: String) {
+        guard let view = navigatorController?.view else { return }
+        
+        var webViews: [WKWebView] = []
+        var pending: [UIView] = [view]
+        while let next = pending.popLast() {
+            if let webView = next as? WKWebView {
+                webViews.append(webView)
+            }
+            pending.append(contentsOf: next.subviews)
+        }
+        
+        for webView in webViews {
+            webView.evaluateJavaScript(script) { _, error in
+                if let error = error {
+                    Logger.error(category: "ReaderViewModel", "Page script failed: \(error)")
+                }
+            }
+        }
+    }
+    
     // MARK: - Text Processing Helpers
     
     /// Truncate text only at sentence boundaries (Japanese period character)
@@ -153,6 +153,10 @@ struct ReaderView: View {
             if let navigator = viewModel.navigatorController {
                 navigator.submitPreferences(viewModel.preferences)
             }
+            viewModel.restorePageReadingPosition()
+        }
+        .onReceive(NotificationCenter.default.publisher(for: UIDevice.orientationDidChangeNotification)) { _ in
+            viewModel.restorePageReadingPosition()
         }
         .ignoresSafeArea(edges: .bottom)
     }
@@ -3,6 +3,8 @@ import Foundation
 import SafariServices
 
 struct SettingsView: View {
+    // Applied to each page of the reader as its script is injected
+    @AppStorage(kReaderDebugModeKey) private var readerDebugMode = false
     
     var body: some View {
         NavigationStack{
@@ -51,6 +53,15 @@ struct SettingsView: View {
                         .listRowBackground(Color(.systemGray6))
                         
                         // MARK: - Development/Testing Section                   
+                        Toggle(isOn: $readerDebugMode) {
+                            HStack {
+                                Image(systemName: "ladybug")
+                                    .frame(width: 20, alignment: .center)
+                                Text("Tap Debug Overlay")
+                            }
+                        }
+                        .listRowBackground(Color(.systemGray6))
+                        
                         NavigationLink(destination: AttributionView()) {
                             HStack {
                                 Image(systemName: "info.circle")
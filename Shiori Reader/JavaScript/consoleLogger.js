@@ -1,16 +1,58 @@
 // consoleLogger.js
 
 (function() {
+    // Don't wrap the console twice if the script is injected again
+    if (window.shioriConsoleLogger) {
+        return;
+    }
+
+    // Levels in order of importance, each with the console method it wraps
+    const levels = ['trace', 'debug', 'log', 'info', 'warn', 'error'];
+
+    // Importance of each level; log and info are the same, as they are in the console
+    const levelRanks = { trace: 0, debug: 1, log: 2, info: 2, warn: 3, error: 4 };
+
+    // Settings, changed through window.shioriConsoleLogger.configure
+    const settings = {
+        minLevel: 'log',           // Lower levels stay in the page console and history
+        maxMessagesPerSecond: 50,  // Anything above this is dropped and counted
+        batchInterval: 250,        // Milliseconds to gather messages before sending
+        maxBatchSize: 20,          // Send straight away once this many are waiting
+        maxDepth: 3,               // How deep objects are serialised
+        maxStringLength: 2000,     // Longer messages are cut off
+        historySize: 200           // Recent messages kept for diagnostics
+    };
+
     // Store original functions FIRST
-    const originalLog = console.log;
-    const originalWarn = console.warn;
-    const originalError = console.error;
+    const originalConsole = {};
+    for (const level of levels) {
+        originalConsole[level] = console[level] || console.log;
+    }
+
+    // Messages waiting to be sent, and the timer that will send them
+    let queue = [];
+    let flushTimer = null;
+
+    // Recent messages, oldest first, including those below minLevel and any the rate limit dropped
+    let history = [];
+
+    // Messages sent and dropped in the current one-second window
+    let windowStart = 0;
+    let windowCount = 0;
+    let droppedCount = 0;
 
     // Define a safe sending function
     function sendLogToSwift(level, message) {
         try {
-            if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers[`console${level}`]) {
-                window.webkit.messageHandlers[`console${level}`].postMessage(message);
+            const handlers = window.webkit && window.webkit.messageHandlers;
+            if (!handlers) {
+                return;
+            }
+            // Swift only listens for log, warn and error; the other levels go through log
+            const name = `console${level[0].toUpperCase()}${level.slice(1)}`;
+            const handler = handlers[name] || handlers.consoleLog;
+            if (handler) {
+                handler.postMessage(message);
             }
         } catch(e) {
             // Don't use console here to avoid recursion
@@ -18,60 +60,252 @@
         }
     }
 
-    // Override console.log
-    console.log = function() {
-        // Convert all arguments to a single string
-        const message = Array.from(arguments).map(arg => {
-            if (typeof arg === 'object') {
-                try { return JSON.stringify(arg); }
-                catch(e) { return String(arg); }
+    // Describe a DOM node without walking into it
+    function describeNode(node) {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+            let description = `<${node.tagName.toLowerCase()}`;
+            if (node.id) {
+                description += `#${node.id}`;
             }
-            return String(arg);
-        }).join(' ');
-        
-        // Send to Swift
-        sendLogToSwift('Log', message);
-        
-        // Call original function
-        originalLog.apply(console, arguments);
-    };
+            if (typeof node.className === 'string' && node.className.trim()) {
+                description += `.${node.className.trim().split(/\s+/).join('.')}`;
+            }
+            return description + '>';
+        }
+        if (node.nodeType === Node.TEXT_NODE) {
+            return `#text "${node.textContent.slice(0, 50)}"`;
+        }
+        return `[${node.nodeName}]`;
+    }
 
-    // Override console.warn
-    console.warn = function() {
-        // Convert all arguments to a single string
-        const message = Array.from(arguments).map(arg => {
-            if (typeof arg === 'object') {
-                try { return JSON.stringify(arg); }
-                catch(e) { return String(arg); }
+    // Turn an Error into its name, message, stack and source location
+    function serialiseError(error) {
+        const result = {
+            name: error.name || 'Error',
+            message: String(error.message)
+        };
+        // WebKit names these sourceURL, line and column
+        const source = error.sourceURL || error.fileName;
+        const line = error.line || error.lineNumber;
+        const column = error.column || error.columnNumber;
+        if (source) {
+            result.source = `${source}:${line || 0}:${column || 0}`;
+        }
+        if (error.stack) {
+            result.stack = String(error.stack);
+        }
+        return result;
+    }
+
+    // Convert any value into something JSON can hold, cutting cycles,
+    // DOM nodes and anything deeper than maxDepth
+    function toSerialisable(value, depth, seen) {
+        if (value === null || value === undefined) {
+            return value === null ? null : '[undefined]';
+        }
+
+        switch (typeof value) {
+            case 'string':
+            case 'number':
+            case 'boolean':
+                return value;
+            case 'bigint':
+                return `${value}n`;
+            case 'symbol':
+                return value.toString();
+            case 'function':
+                return `[Function ${value.name || 'anonymous'}]`;
+        }
+
+        if (value instanceof Error) {
+            return serialiseError(value);
+        }
+        if (typeof Node !== 'undefined' && value instanceof Node) {
+            return describeNode(value);
+        }
+        if (value === window) {
+            return '[Window]';
+        }
+        if (seen.has(value)) {
+            return '[Circular]';
+        }
+        if (depth >= settings.maxDepth) {
+            return Array.isArray(value) ? `[Array(${value.length})]` : '[Object]';
+        }
+
+        seen.add(value);
+        let result;
+        if (Array.isArray(value)) {
+            result = value.map(item => toSerialisable(item, depth + 1, seen));
+        } else {
+            result = {};
+            for (const key of Object.keys(value)) {
+                try {
+                    result[key] = toSerialisable(value[key], depth + 1, seen);
+                } catch(e) {
+                    result[key] = '[Unreadable]';
+                }
             }
-            return String(arg);
-        }).join(' ');
-        
-        // Send to Swift
-        sendLogToSwift('Warn', message);
-        
-        // Call original function
-        originalWarn.apply(console, arguments);
-    };
+        }
+        seen.delete(value);
+        return result;
+    }
 
-    // Override console.error
-    console.error = function() {
-        // Convert all arguments to a single string
-        const message = Array.from(arguments).map(arg => {
-            if (typeof arg === 'object') {
-                try { return JSON.stringify(arg); }
-                catch(e) { return String(arg); }
+    // Format one console argument as text
+    function formatArgument(arg) {
+        if (typeof arg === 'string') {
+            return arg;
+        }
+        if (arg instanceof Error) {
+            const error = serialiseError(arg);
+            const header = `${error.name}: ${error.message}` + (error.source ? ` (${error.source})` : '');
+            if (!error.stack) {
+                return header;
             }
+            // Some engines start the stack with the message, others don't
+            const stack = error.stack.startsWith(`${error.name}: ${error.message}`) ?
+                          error.stack.split('\n').slice(1).join('\n') :
+                          error.stack;
+            return `${header}\n${stack}`;
+        }
+        try {
+            const serialised = toSerialisable(arg, 0, new WeakSet());
+            return typeof serialised === 'string' ? serialised : JSON.stringify(serialised);
+        } catch(e) {
             return String(arg);
-        }).join(' ');
-        
-        // Send to Swift
-        sendLogToSwift('Error', message);
-        
-        // Call original function
-        originalError.apply(console, arguments);
+        }
+    }
+
+    // Convert all arguments to a single string
+    function formatMessage(args) {
+        const message = Array.from(args).map(formatArgument).join(' ');
+        if (message.length > settings.maxStringLength) {
+            return message.slice(0, settings.maxStringLength) + `… (${message.length} chars)`;
+        }
+        return message;
+    }
+
+    // Check whether a level is important enough to send to Swift
+    function isLevelEnabled(level) {
+        return levelRanks[level] >= (levelRanks[settings.minLevel] || 0);
+    }
+
+    // Count a message against the rate limit, returning whether it may be sent
+    function takeRateLimitSlot() {
+        const now = Date.now();
+        if (now - windowStart >= 1000) {
+            if (droppedCount > 0) {
+                queue.push({
+                    level: 'warn',
+                    line: `${new Date(now).toISOString()} [warn] Dropped ${droppedCount} console messages over the rate limit`
+                });
+            }
+            windowStart = now;
+            windowCount = 0;
+            droppedCount = 0;
+        }
+        if (windowCount >= settings.maxMessagesPerSecond) {
+            droppedCount += 1;
+            return false;
+        }
+        windowCount += 1;
+        return true;
+    }
+
+    // Send everything waiting, one message per run of the same level
+    function flush() {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+
+        const pending = queue;
+        queue = [];
+        let start = 0;
+        while (start < pending.length) {
+            let end = start + 1;
+            while (end < pending.length && pending[end].level === pending[start].level) {
+                end += 1;
+            }
+            sendLogToSwift(pending[start].level, pending.slice(start, end).map(entry => entry.line).join('\n'));
+            start = end;
+        }
+    }
+
+    // Keep a message in the history, then queue it for Swift if its level is enabled,
+    // sending errors and full batches straight away
+    function record(level, message) {
+        const line = `${new Date().toISOString()} [${level}] ${message}`;
+        history.push(line);
+        if (history.length > settings.historySize) {
+            history = history.slice(-settings.historySize);
+        }
+
+        if (!isLevelEnabled(level) || !takeRateLimitSlot()) {
+            return;
+        }
+        queue.push({ level: level, line: line });
+
+        if (level === 'error' || queue.length >= settings.maxBatchSize) {
+            flush();
+        } else if (!flushTimer) {
+            flushTimer = setTimeout(flush, settings.batchInterval);
+        }
+    }
+
+    // Override each console method
+    for (const level of levels) {
+        console[level] = function() {
+            let message = formatMessage(arguments);
+            if (level === 'trace') {
+                // Drop the first stack line, which is this wrapper
+                const stack = (new Error().stack || '').split('\n').slice(1).join('\n');
+                message += stack ? `\n${stack}` : '';
+            }
+
+            // Send to Swift
+            record(level, message);
+
+            // Call original function
+            originalConsole[level].apply(console, arguments);
+        };
+    }
+
+    // Capture uncaught errors, including their source location
+    window.addEventListener('error', function(event) {
+        const location = `${event.filename || 'unknown'}:${event.lineno || 0}:${event.colno || 0}`;
+        const details = event.error ? formatArgument(event.error) : String(event.message);
+        record('error', `Uncaught ${details} (${location})`);
+    });
+
+    // Capture promise rejections nobody handled
+    window.addEventListener('unhandledrejection', function(event) {
+        record('error', `Unhandled rejection: ${formatArgument(event.reason)}`);
+    });
+
+    // Don't lose queued messages when the page goes away
+    window.addEventListener('pagehide', flush);
+
+    window.shioriConsoleLogger = {
+        // Change the level filter, rate limit, batching or serialisation limits
+        configure: function(options = {}) {
+            for (const key of Object.keys(settings)) {
+                if (options[key] !== undefined) {
+                    settings[key] = options[key];
+                }
+            }
+            return { ...settings };
+        },
+        // Send anything still queued right now
+        flush: flush,
+        // Copy of the recent messages, for diagnostics bundles
+        getRecentLogs: function() {
+            return history.slice();
+        },
+        // Serialise a value the same way console arguments are
+        serialise: formatArgument
     };
 
     // Log that installation was successful
-    originalLog("Console logger installed successfully");
+    originalConsole.log("Console logger installed successfully");
 })();
@@ -1,53 +1,608 @@
 // wordSelection.js - Enhanced version with proper ruby handling and improved tap reliability
 
-// Store references to our event listeners for later cleanup
-let documentClickListener = null;
+// Everything is scoped to this function so the script can be injected again
+// on every chapter change without redeclaring its state; the public API is the
+// single window.shiori namespace assembled at the end
+(function() {
 
-// Cleanup function that will be exposed globally
-window.shioriCleanupEventListeners = function() {
-    if (documentClickListener) {
-        document.removeEventListener('click', documentClickListener);
+// Bump when the script changes, so a page still running an older copy replaces it
+const shioriScriptVersion = 1;
+
+// The host injects the script again on every page turn and resource load. A
+// running instance of this version keeps its listeners, settings, marks and
+// generated furigana; only an older or destroyed instance is replaced.
+if (window.shiori &&
+    window.shiori.scriptVersion === shioriScriptVersion &&
+    typeof window.shiori.isInitialized === 'function' &&
+    window.shiori.isInitialized()) {
+    return;
+}
+
+// Tear down whatever an earlier injection left behind before starting over
+if (window.shiori && typeof window.shiori.destroy === 'function') {
+    try {
+        window.shiori.destroy();
+    } catch(e) {
+        console.log("[Shiori] Error destroying previous instance: " + e);
+    }
+}
+
+// Public API, exposed as window.shiori
+const shiori = {
+    scriptVersion: shioriScriptVersion
+};
+
+// Whether init has registered our listeners
+let initialized = false;
+
+// Settings passed to init
+let shioriConfig = {
+    logHandlerName: null
+};
+
+// Everything registered on the page, so destroy can remove it
+let pageEventListeners = [];
+let pageObservers = [];
+const pageTimers = new Set();
+const pageStyles = new Set();
+
+// Paragraph, clean-text base offset and tapped offset of the most recent lookup,
+// so offsets sent back from Swift can be resolved against the same text
+let lastLookupContext = null;
+
+// Register a page listener so destroy can remove it
+function addPageEventListener(target, type, listener, options) {
+    target.addEventListener(type, listener, options);
+    pageEventListeners.push([target, type, listener, options]);
+}
+
+// Register an observer so destroy can disconnect it
+function trackPageObserver(observer) {
+    pageObservers.push(observer);
+    return observer;
+}
+
+// Start a timer that destroy will cancel if it hasn't fired yet
+function setPageTimeout(callback, delay) {
+    const timer = setTimeout(() => {
+        pageTimers.delete(timer);
+        callback();
+    }, delay);
+    pageTimers.add(timer);
+    return timer;
+}
+
+// Cancel a timer started with setPageTimeout
+function clearPageTimeout(timer) {
+    clearTimeout(timer);
+    pageTimers.delete(timer);
+}
+
+// Create or update one of our stylesheets, which destroy will remove
+function injectPageStyle(styleId, css) {
+    let style = document.getElementById(styleId);
+    if (!style) {
+        style = document.createElement('style');
+        style.id = styleId;
+        (document.head || document.documentElement).appendChild(style);
+    }
+    style.textContent = css;
+    pageStyles.add(style);
+    return style;
+}
+
+// MESSAGE PROTOCOL
+// Every page-to-native message is an envelope of protocolVersion, type and
+// requestId with the payload fields alongside, checked against its schema
+// before it is posted. Text offsets in messages count Characters (grapheme
+// clusters), the unit Swift's String counts and indexes in.
+
+// Bump when a schema changes in a way native code has to know about
+const shioriProtocolVersion = 3;
+
+// Handler and payload fields for each message type
+const shioriMessageSchemas = {
+    lookup: {
+        handler: 'wordTapped',
+        fields: {
+            text: 'string',
+            reading: 'string',
+            absoluteOffset: 'number',
+            fullText: 'string',
+            rawFullText: 'string',
+            surroundingText: 'string',
+            sentenceTargetStart: 'number',
+            sentenceTargetEnd: 'number',
+            isRuby: 'boolean'
+        }
+    },
+    rangeSelection: {
+        handler: 'rangeSelected',
+        fields: {
+            text: 'string',
+            rawText: 'string',
+            startOffset: 'number',
+            endOffset: 'number',
+            surroundingText: 'string',
+            sentenceTargetStart: 'number',
+            sentenceTargetEnd: 'number',
+            fullText: 'string',
+            rawFullText: 'string'
+        }
+    },
+    dismiss: {
+        handler: 'dismissDictionary',
+        fields: {}
+    },
+    log: {
+        handler: 'log',
+        fields: {
+            level: 'string',
+            message: 'string'
+        }
+    },
+    ready: {
+        handler: 'shioriMessage',
+        fields: {
+            script: 'string'
+        }
+    },
+    error: {
+        handler: 'shioriMessage',
+        fields: {
+            code: 'string',
+            message: 'string'
+        },
+        optional: {
+            relatedRequestId: 'string'
+        }
+    },
+    request: {
+        handler: 'shioriMessage',
+        fields: {
+            method: 'string',
+            params: 'object'
+        }
+    },
+    readingPosition: {
+        handler: 'shioriMessage',
+        fields: {
+            paragraphIndex: 'number',
+            offset: 'number',
+            paragraphPrefix: 'string',
+            textAfter: 'string',
+            href: 'string'
+        }
+    },
+    charactersRead: {
+        handler: 'shioriMessage',
+        fields: {
+            count: 'number',
+            totalCount: 'number',
+            timestamp: 'number',
+            href: 'string',
+            counted: 'array'
+        }
+    }
+};
+
+// Fields every message carries
+const shioriEnvelopeFields = {
+    protocolVersion: 'number',
+    type: 'string',
+    requestId: 'string'
+};
+
+// Counter for request IDs unique within this page
+let shioriMessageCounter = 0;
+
+// Requests waiting for a native reply, by request ID
+const pendingNativeRequests = new Map();
+
+// Create a request ID for a new message
+function createRequestId() {
+    shioriMessageCounter += 1;
+    return `${Date.now().toString(36)}-${shioriMessageCounter.toString(36)}`;
+}
+
+// Check a value against a schema type name
+function matchesSchemaType(value, type) {
+    if (type === 'number') {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+    if (type === 'object') {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+    if (type === 'array') {
+        return Array.isArray(value);
+    }
+    return typeof value === type;
+}
+
+// List everything wrong with a message; an empty list means it is valid
+function validateShioriMessage(message) {
+    if (!message || typeof message !== 'object') {
+        return ['Message is not an object'];
+    }
+
+    const errors = [];
+    for (const [field, type] of Object.entries(shioriEnvelopeFields)) {
+        if (!matchesSchemaType(message[field], type)) {
+            errors.push(`Envelope field '${field}' must be a ${type}`);
+        }
+    }
+    if (message.protocolVersion !== shioriProtocolVersion) {
+        errors.push(`Unsupported protocol version ${message.protocolVersion}`);
+    }
+
+    const schema = shioriMessageSchemas[message.type];
+    if (!schema) {
+        errors.push(`Unknown message type '${message.type}'`);
+        return errors;
+    }
+
+    const optional = schema.optional || {};
+    for (const [field, type] of Object.entries(schema.fields)) {
+        if (!(field in message)) {
+            errors.push(`Missing field '${field}' in ${message.type} message`);
+        } else if (!matchesSchemaType(message[field], type)) {
+            errors.push(`Field '${field}' in ${message.type} message must be a ${type}`);
+        }
+    }
+    for (const field of Object.keys(message)) {
+        if (field in shioriEnvelopeFields || field in schema.fields) {
+            continue;
+        }
+        if (!(field in optional)) {
+            errors.push(`Unexpected field '${field}' in ${message.type} message`);
+        } else if (!matchesSchemaType(message[field], optional[field])) {
+            errors.push(`Field '${field}' in ${message.type} message must be a ${optional[field]}`);
+        }
+    }
+
+    return errors;
+}
+
+// Resolve the native handler for a message type
+function getMessageHandler(type) {
+    const name = shioriMessageSchemas[type].handler === 'log' ?
+                 (shioriConfig.logHandlerName || window.shioriLogHandlerName || "shioriLog") :
+                 shioriMessageSchemas[type].handler;
+    if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers[name]) {
+        return window.webkit.messageHandlers[name];
+    }
+    return null;
+}
+
+// Validate and post a message to Swift, returning whether it was sent
+function postShioriMessage(type, payload = {}, requestId = createRequestId()) {
+    const message = {
+        protocolVersion: shioriProtocolVersion,
+        type: type,
+        requestId: requestId,
+        ...payload
+    };
+
+    const errors = validateShioriMessage(message);
+    if (errors.length > 0) {
+        console.error("[Shiori] Refusing to send invalid message: " + errors.join('; '));
+        if (type !== 'error') {
+            reportShioriError('invalid-message', errors.join('; '), requestId);
+        }
+        return false;
+    }
+
+    try {
+        const handler = getMessageHandler(type);
+        if (handler) {
+            handler.postMessage(message);
+            return true;
+        }
+        return false;
+    } catch(e) {
+        console.log("[Shiori] Error sending " + type + " message: " + e);
+        return false;
+    }
+}
+
+// Tell Swift that something went wrong on the page
+function reportShioriError(code, message, relatedRequestId) {
+    const payload = { code: code, message: String(message) };
+    if (relatedRequestId) {
+        payload.relatedRequestId = relatedRequestId;
+    }
+    return postShioriMessage('error', payload);
+}
+
+// Reject and forget every request still waiting for a reply
+function rejectPendingNativeRequests(reason) {
+    for (const [requestId, pending] of pendingNativeRequests) {
+        clearPageTimeout(pending.timer);
+        pending.reject(new Error(reason));
+        pendingNativeRequests.delete(requestId);
+    }
+}
+
+// Ask native code for something and wait for it to answer through
+// shiori.resolveRequest with the same request ID
+shiori.call = function(method, params = {}, options = {}) {
+    const timeout = options.timeout || 10000;
+    const requestId = createRequestId();
+
+    return new Promise((resolve, reject) => {
+        const timer = setPageTimeout(() => {
+            pendingNativeRequests.delete(requestId);
+            reject(new Error(`Request '${method}' timed out after ${timeout}ms`));
+        }, timeout);
+        pendingNativeRequests.set(requestId, { resolve, reject, timer });
+
+        if (!postShioriMessage('request', { method: method, params: params }, requestId)) {
+            clearPageTimeout(timer);
+            pendingNativeRequests.delete(requestId);
+            reject(new Error(`Request '${method}' could not be sent`));
+        }
+    });
+};
+
+// Answer a page request from native code; pass an error message to reject it
+shiori.resolveRequest = function(requestId, result, error) {
+    const pending = pendingNativeRequests.get(requestId);
+    if (!pending) {
+        return false;
+    }
+
+    clearPageTimeout(pending.timer);
+    pendingNativeRequests.delete(requestId);
+    if (error) {
+        pending.reject(new Error(typeof error === 'string' ? error : (error.message || 'Native request failed')));
+    } else {
+        pending.resolve(result);
     }
-    // Reset the reference
-    documentClickListener = null;
-    
-    // Return true to indicate successful cleanup
     return true;
 };
 
+// Check a message against the protocol, for native code and debugging
+shiori.validateMessage = function(message) {
+    const errors = validateShioriMessage(message);
+    return { valid: errors.length === 0, errors: errors };
+};
+
+// Describe the protocol so native code can check it understands this page
+shiori.getMessageProtocol = function() {
+    return {
+        version: shioriProtocolVersion,
+        envelope: { ...shioriEnvelopeFields },
+        messages: JSON.parse(JSON.stringify(shioriMessageSchemas))
+    };
+};
+
 // Function to safely send logs
-function shioriLog(message) {
+function shioriLog(message, level = 'info') {
     // Use console log first (always works)
     console.log("[Shiori] " + message);
     
     // Then try to use our handler if available
-    try {
-        const handlerName = window.shioriLogHandlerName || "shioriLog";
-        if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers[handlerName]) {
-            window.webkit.messageHandlers[handlerName].postMessage(message);
+    postShioriMessage('log', { level: level, message: String(message) });
+}
+
+// Settings for debug mode, toggled from Swift
+const debugSettings = {
+    enabled: false
+};
+
+// Trace logging for tap resolution, only sent while debug mode is on
+function debugLog(message) {
+    if (debugSettings.enabled) {
+        shioriLog(message, 'debug');
+    }
+}
+
+// SCRIPT CLASSIFICATION
+// Characters are classified one code point at a time by their Unicode script,
+// so kanji outside the BMP (CJK Extension B and later) count as one character.
+// Offsets inside the page stay UTF-16, as the DOM uses. Offsets exchanged with
+// Swift count grapheme clusters, as Swift's String.count does, so a kanji with
+// a variation selector is one character on both sides. This holds for every
+// offset Swift computes with, read-along included. The one exception is the
+// TextPositionSelector inside an annotation, which counts code points as the
+// W3C model requires; Swift stores annotations as opaque JSON and never reads it.
+
+// Scripts that can trigger a lookup, by the group names Swift sets
+const lookupScriptGroups = {
+    japanese: ['han', 'hiragana', 'katakana', 'kana', 'fullwidth'],
+    chinese: ['han'],
+    latin: ['latin'],
+    korean: ['hangul']
+};
+
+// Classify one character by its script: han, hiragana, katakana, kana (marks
+// both kana share, like ー and ゛), fullwidth (Latin letters, digits and
+// signs from the full-width forms block, like ＤＶＤ, set in Japanese text),
+// latin, hangul, number, punctuation, symbol, space or other
+function getCharacterScript(character) {
+    if (/\s/u.test(character)) {
+        return 'space';
+    }
+    // 〆 is used as a kanji but has no script of its own
+    if (/[\p{Script=Han}\u3006]/u.test(character)) {
+        return 'han';
+    }
+    if (/\p{Script=Hiragana}/u.test(character)) {
+        return 'hiragana';
+    }
+    if (/\p{Script=Katakana}/u.test(character)) {
+        return 'katakana';
+    }
+    if (/\p{P}/u.test(character)) {
+        return 'punctuation';
+    }
+    if (/[\p{scx=Hiragana}\p{scx=Katakana}]/u.test(character)) {
+        return 'kana';
+    }
+    if (/[\uFF00-\uFFEF]/.test(character)) {
+        return 'fullwidth';
+    }
+    if (/\p{Script=Latin}/u.test(character)) {
+        return 'latin';
+    }
+    if (/\p{Script=Hangul}/u.test(character)) {
+        return 'hangul';
+    }
+    if (/\p{N}/u.test(character)) {
+        return 'number';
+    }
+    return /\p{S}/u.test(character) ? 'symbol' : 'other';
+}
+
+// Check whether a character is written in a Japanese script
+function isJapaneseCharacter(character) {
+    return lookupScriptGroups.japanese.includes(getCharacterScript(character));
+}
+
+// Get the whole character (code point) that starts at a UTF-16 offset
+function getCharacterAt(text, offset) {
+    const codePoint = text.codePointAt(offset);
+    return codePoint === undefined ? '' : String.fromCodePoint(codePoint);
+}
+
+// Check whether a UTF-16 offset falls in the middle of a surrogate pair
+function isInsideSurrogatePair(text, offset) {
+    return offset > 0 && offset < text.length &&
+           /[\uDC00-\uDFFF]/.test(text[offset]) && /[\uD800-\uDBFF]/.test(text[offset - 1]);
+}
+
+// Convert a UTF-16 offset into a text to a code point offset
+function toCodePointOffset(text, offset) {
+    if (!(offset > 0) || !/[\uD800-\uDBFF]/.test(text)) {
+        return offset;
+    }
+    return [...text.substring(0, offset)].length + Math.max(0, offset - text.length);
+}
+
+// Convert a code point offset into a text to a UTF-16 offset
+function fromCodePointOffset(text, offset) {
+    if (!(offset > 0) || !/[\uD800-\uDBFF]/.test(text)) {
+        return offset;
+    }
+    let position = 0;
+    let count = 0;
+    while (count < offset && position < text.length) {
+        position += getCharacterAt(text, position).length;
+        count++;
+    }
+    return position + (offset - count);
+}
+
+// Splits text into grapheme clusters, the characters Swift's String counts
+const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter ?
+                          new Intl.Segmenter(undefined, { granularity: 'grapheme' }) :
+                          null;
+
+// The text whose character boundaries were found last, since the same
+// paragraph or chapter is usually converted several times in a row
+let lastCharacterBoundaries = { text: null, boundaries: null };
+
+// UTF-16 offsets where each character of a text starts, followed by the
+// text's length; code points stand in if there is no segmenter
+function getCharacterBoundaries(text) {
+    if (lastCharacterBoundaries.text === text) {
+        return lastCharacterBoundaries.boundaries;
+    }
+    const boundaries = [];
+    if (graphemeSegmenter) {
+        for (const segment of graphemeSegmenter.segment(text)) {
+            boundaries.push(segment.index);
+        }
+    } else {
+        for (let i = 0; i < text.length; i += getCharacterAt(text, i).length) {
+            boundaries.push(i);
         }
-    } catch(e) {
-        console.log("[Shiori] Error sending log: " + e);
     }
+    boundaries.push(text.length);
+    lastCharacterBoundaries = { text: text, boundaries: boundaries };
+    return boundaries;
 }
 
-// shioriLog("Script initialized");
+// Convert a UTF-16 offset into a text to a character offset for Swift. An
+// offset inside a character counts as that character's start.
+function toCharacterOffset(text, offset) {
+    if (!(offset > 0)) {
+        return offset;
+    }
+    if (offset >= text.length) {
+        return getCharacterBoundaries(text).length - 1 + (offset - text.length);
+    }
+    const boundaries = getCharacterBoundaries(text);
+    let low = 0;
+    let high = boundaries.length - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (boundaries[middle] <= offset) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return low;
+}
 
-// Pattern to detect Japanese text
-const japanesePattern = /[\u3000-\u303F]|[\u3040-\u309F]|[\u30A0-\u30FF]|[\uFF00-\uFFEF]|[\u4E00-\u9FAF]|[\u2605-\u2606]|[\u2190-\u2195]|\u203B/g;
+// Convert a character offset from Swift into a text to a UTF-16 offset
+function fromCharacterOffset(text, offset) {
+    if (!(offset > 0)) {
+        return offset;
+    }
+    const boundaries = getCharacterBoundaries(text);
+    const lastIndex = boundaries.length - 1;
+    return offset <= lastIndex ? boundaries[offset] : text.length + (offset - lastIndex);
+}
 
-// Helper function to dismiss dictionary
-function dismissDictionary() {
-    try {
-        if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.dismissDictionary) {
-            window.webkit.messageHandlers.dismissDictionary.postMessage({});
-            return true;
+// Cut text to at most maxLength characters, from the start or from the end,
+// without splitting a character
+function clipCharacters(text, maxLength, fromEnd = false) {
+    const boundaries = getCharacterBoundaries(text);
+    const lastIndex = boundaries.length - 1;
+    if (lastIndex <= maxLength) {
+        return text;
+    }
+    return fromEnd ? text.substring(boundaries[lastIndex - maxLength]) : text.substring(0, boundaries[maxLength]);
+}
+
+// Re-express the offsets of an outgoing lookup or selection in characters:
+// offsets into fullText, and sentence offsets into surroundingText
+function toCharacterPayload(payload) {
+    const result = { ...payload };
+    for (const field of ['absoluteOffset', 'startOffset', 'endOffset']) {
+        if (typeof result[field] === 'number' && typeof payload.fullText === 'string') {
+            result[field] = toCharacterOffset(payload.fullText, payload[field]);
         }
-        return false;
-    } catch(e) {
-        // shioriLog("Error dismissing dictionary: " + e);
-        return false;
     }
+    for (const field of ['sentenceTargetStart', 'sentenceTargetEnd']) {
+        if (typeof result[field] === 'number' && typeof payload.surroundingText === 'string') {
+            result[field] = toCharacterOffset(payload.surroundingText, payload[field]);
+        }
+    }
+    return result;
+}
+
+// Check whether tapped text starts in a script that triggers a lookup, looking
+// past leading spaces, punctuation and numbers such as an opening quote or 2019年
+function isLookupScript(text) {
+    for (const character of text) {
+        const script = getCharacterScript(character);
+        if (script === 'space' || script === 'punctuation' || script === 'number' || script === 'symbol') {
+            continue;
+        }
+        return lookupSettings.scripts.some(group => (lookupScriptGroups[group] || []).includes(script));
+    }
+    return false;
+}
+
+// Helper function to dismiss dictionary
+function dismissDictionary() {
+    noteTapTrace({ dismissed: true });
+    clearMatchHighlight();
+    lastHoverScanKey = null;
+    return postShioriMessage('dismiss');
 }
 
 // Helper function to check if point is within bounding box
@@ -58,6 +613,53 @@ function bboxIncludesPoint(bbox, point, margin = 0) {
            point.y <= bbox.bottom + margin;
 }
 
+// WRITING MODE HELPERS
+// Tap resolution has to work for both horizontal (yokogaki) and vertical (tategaki) text
+
+// Check whether a node is laid out in vertical text (vertical-rl, vertical-lr, sideways-*)
+function isVerticalWritingMode(node) {
+    const element = node && node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+        return false;
+    }
+    const style = window.getComputedStyle(element);
+    const writingMode = style.writingMode || style.webkitWritingMode || '';
+    return writingMode.startsWith('vertical') ||
+           writingMode.startsWith('sideways') ||
+           writingMode.startsWith('tb');
+}
+
+// Check whether a text node is rendered as tate-chu-yoko (text-combine-upright),
+// where several characters share a single upright cell
+function isCombinedUpright(node) {
+    const element = node && node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+        return false;
+    }
+    const style = window.getComputedStyle(element);
+    const combine = style.textCombineUpright || style.webkitTextCombine || '';
+    return combine !== '' && combine !== 'none';
+}
+
+// Distance from a point to a rect, split into the inline axis (along the line)
+// and the block axis (across lines). Zero when the point is within the rect on that axis.
+function getAxisDistances(rect, point, vertical) {
+    const dx = point.x < rect.left ? rect.left - point.x : (point.x > rect.right ? point.x - rect.right : 0);
+    const dy = point.y < rect.top ? rect.top - point.y : (point.y > rect.bottom ? point.y - rect.bottom : 0);
+    return vertical ? { inline: dy, block: dx } : { inline: dx, block: dy };
+}
+
+// Compare axis distances, preferring candidates on the same line (column in vertical text)
+function isCloserOnAxes(candidate, best) {
+    if (!best) {
+        return true;
+    }
+    if (candidate.block !== best.block) {
+        return candidate.block < best.block;
+    }
+    return candidate.inline < best.inline;
+}
+
 // Improved caretRangeFromPoint that checks previous character bbox
 function getImprovedCaretPosition(point) {
     let range = document.caretRangeFromPoint(point.x, point.y);
@@ -76,19 +678,36 @@ function getImprovedCaretPosition(point) {
     //
     // Below we see if the point is within the bounding box of the *previous*
     // character in the inline direction and, if it is, start from there instead.
+    // The inline direction runs top to bottom in vertical text, so the check
+    // is done against the full box rather than the horizontal extent alone.
     
     const { startContainer, startOffset } = range;
+    
+    // Tate-chu-yoko digits or letters form a single upright cell, so a tap anywhere
+    // on the cell starts from its first character
+    if (startContainer.nodeType === Node.TEXT_NODE &&
+        startOffset > 0 &&
+        isVerticalWritingMode(startContainer) &&
+        isCombinedUpright(startContainer)) {
+        range = new Range();
+        range.setStart(startContainer, 0);
+        range.setEnd(startContainer, 0);
+        return range;
+    }
+    
     if (startContainer.nodeType === Node.TEXT_NODE && startOffset > 0) {
+        // A character outside the BMP is two UTF-16 units
+        const previousOffset = startOffset - (isInsideSurrogatePair(startContainer.textContent, startOffset - 1) ? 2 : 1);
         const previousCharRange = new Range();
-        previousCharRange.setStart(startContainer, startOffset - 1);
+        previousCharRange.setStart(startContainer, previousOffset);
         previousCharRange.setEnd(startContainer, startOffset);
         
         const previousCharacterBbox = previousCharRange.getBoundingClientRect();
         if (bboxIncludesPoint(previousCharacterBbox, point)) {
             // The click was actually on the previous character
             range = new Range();
-            range.setStart(startContainer, startOffset - 1);
-            range.setEnd(startContainer, startOffset - 1);
+            range.setStart(startContainer, previousOffset);
+            range.setEnd(startContainer, previousOffset);
         }
     }
     
@@ -96,8 +715,37 @@ function getImprovedCaretPosition(point) {
 }
 
 // Define the click handler function
-documentClickListener = function(event) {
-    // shioriLog("Click detected at " + event.clientX + "," + event.clientY);
+function handleDocumentClick(event) {
+    debugLog("Click detected at " + event.clientX + "," + event.clientY);
+    
+    // Let the range selection consume taps that belong to it
+    if (shouldIgnoreClickForRangeSelection(event)) {
+        return;
+    }
+    
+    // The first tap on hidden furigana only reveals it
+    if (revealFuriganaOnTap(event.target)) {
+        return;
+    }
+    
+    // A click always looks up, even on the word that was just hovered
+    lastHoverScanKey = null;
+    beginTapTrace({ x: event.clientX, y: event.clientY }, event.target);
+    try {
+        lookUpAtPointerEvent(event, true);
+    } finally {
+        finishTapTrace();
+    }
+}
+
+// Resolve the text under a pointer event (a click or a hover) and send it for lookup.
+// When nothing can be looked up, a tap dismisses the dictionary but a hover leaves it open.
+function lookUpAtPointerEvent(event, dismissOnMiss) {
+    const missLookup = () => {
+        if (dismissOnMiss) {
+            dismissDictionary();
+        }
+    };
     
     // Skip interactive elements
     if (event.target.tagName === 'A' ||
@@ -105,446 +753,366 @@ documentClickListener = function(event) {
         event.target.tagName === 'INPUT' ||
         event.target.closest('a') ||
         event.target.closest('button')) {
-        // shioriLog("Skipping interactive element");
-        dismissDictionary();
+        debugLog("Skipping interactive element");
+        missLookup();
         return;
     }
     
-    // Special handling for ruby elements
+    // Special handling for ruby elements; generated furigana and emphasis
+    // marks are looked up as plain text
     const rubyElement = event.target.tagName === 'RUBY' ?
                         event.target :
                         event.target.closest('ruby');
                         
-    if (rubyElement) {
-        // shioriLog("Ruby element detected, handling specially");
+    if (rubyElement && !isPlainTextRuby(rubyElement)) {
+        debugLog("Ruby element detected, handling specially");
+        noteTapTrace({ ruby: rubyElement });
         handleRubyClick(event, rubyElement);
         return;
     }
     
+    // A gaiji image is a character of its own; carets only land beside it
+    if (isGaijiImage(event.target)) {
+        const paragraph = findParagraphContainer(event.target.parentNode);
+        const absoluteOffset = getTextIndexOffset(getTextIndex(paragraph), event.target, 0);
+        noteTapTrace({ paragraph: paragraph, absoluteOffset: absoluteOffset });
+        lookUpCleanOffset(paragraph, absoluteOffset, getLookupTextAtOffset(paragraph, absoluteOffset));
+        return;
+    }
+    
     // Standard text node handling for non-ruby elements using improved caret position
-    let range = getImprovedCaretPosition({x: event.clientX, y: event.clientY});
+    const point = {x: event.clientX, y: event.clientY};
+    let range = getImprovedCaretPosition(point);
+    noteTapTrace({ caret: range });
+    
+    // A tap between lines or past the end of one snaps to the nearest character
+    if (tapSnapSettings.enabled && !isDirectCharacterHit(range, point)) {
+        range = findSnappedCaret(point);
+        noteTapTrace({ caret: range, snapped: true });
+        if (range) {
+            const snappedRuby = range.startContainer.parentElement.closest('ruby');
+            if (snappedRuby && !isPlainTextRuby(snappedRuby)) {
+                lookUpRubyBaseIndex(snappedRuby, getTextIndexOffset(getTextIndex(snappedRuby), range.startContainer, range.startOffset));
+                return;
+            }
+        }
+    }
     if (!range) {
-        // shioriLog("No text range found at click point");
-        dismissDictionary();
+        debugLog("No text range found at click point");
+        missLookup();
         return;
     }
     
-    // shioriLog("Text node found, looking for Japanese text");
+    debugLog("Text node found, looking for Japanese text");
     
     let node = range.startContainer;
     if (node.nodeType !== Node.TEXT_NODE) {
-        dismissDictionary();
+        missLookup();
         return;
     }
     
-    let text = node.textContent;
     let offset = range.startOffset;
     
+    // A tap on a generated reading or emphasis mark looks up the word it belongs to
+    const readingElement = node.parentElement && node.parentElement.closest('rt');
+    if (readingElement && isPlainTextRuby(readingElement.parentElement)) {
+        const baseSegments = getTextIndex(node.parentElement.closest('ruby')).segments;
+        if (baseSegments.length === 0) {
+            missLookup();
+            return;
+        }
+        node = baseSegments[0].node;
+        offset = 0;
+    }
+    
+    let text = node.textContent;
+    
     if (offset < text.length) {
-        let contextText = text.substring(offset, Math.min(text.length, offset + 30));
-        // shioriLog("Text at click: " + contextText);
+        let contextText = readInlineText(node, offset, lookupSettings.lookahead, true);
+        debugLog("Text at click: " + contextText);
         
-        // Check for Japanese text
-        if (japanesePattern.test(contextText)) {
-            // shioriLog("Japanese text found");
-            
-            // Get surrounding sentence for better context
-            const surroundingText = getExtendedSurroundingText(node.parentNode, contextText, 250);
+        // Check the tapped text is in a script that should be looked up
+        if (isLookupScript(contextText)) {
+            debugLog("Lookup script found");
             
             // Always provide paragraph-level context for character picker consistency
-            let paragraph = node.parentNode;
-            let searchDepth = 0;
-            const maxDepth = 10;
-            
-            // Find the paragraph or chapter container
-            while (paragraph && searchDepth < maxDepth && 
-                   paragraph.tagName !== 'P' && 
-                   !paragraph.classList.contains('chapter-content') && 
-                   !paragraph.classList.contains('chapter')) {
-                paragraph = paragraph.parentNode;
-                searchDepth++;
-                if (paragraph === document.body || !paragraph) {
-                    paragraph = node.parentNode;
-                    break;
-                }
-            }
+            const paragraph = findParagraphContainer(node.parentNode);
             
-            // Get clean paragraph text (without furigana)
-            const cleanParagraphText = getTextWithoutFurigana(paragraph);
+            // Map the clicked position straight to its offset in the clean paragraph
+            const absoluteOffset = getTextIndexOffset(getTextIndex(paragraph), node, offset);
+            noteTapTrace({ paragraph: paragraph, absoluteOffset: absoluteOffset });
             
-            // Calculate the offset of the clicked text within the clean paragraph
-            let absoluteOffset = 0;
-            try {
-                // Calculate base offset of the text node within the paragraph
-                const baseOffset = calculateCleanOffsetOfElement(node, paragraph);
-                absoluteOffset = baseOffset + offset;
-                
-                // Verify the offset makes sense
-                if (absoluteOffset >= 0 && absoluteOffset < cleanParagraphText.length) {
-                    const charAtOffset = cleanParagraphText[absoluteOffset];
-                    
-                    if (charAtOffset !== contextText[0]) {
-                        // Try to find the correct offset by searching
-                        const expectedChar = contextText[0];
-                        for (let i = Math.max(0, absoluteOffset - 10); i < Math.min(cleanParagraphText.length, absoluteOffset + 10); i++) {
-                            if (cleanParagraphText[i] === expectedChar) {
-                                absoluteOffset = i;
-                                break;
-                            }
-                        }
-                    }
-                } else {
-                    // shioriLog(`⚠️ WARNING: Calculated offset ${absoluteOffset} is out of bounds for text length ${cleanParagraphText.length}`);
-                }
-            } catch (error) {
-                // shioriLog(`Error calculating offset, using simple offset: ${error}`);
-                absoluteOffset = offset;
-            }
-                        
-            // Send to Swift with paragraph context
-            sendWordToSwift(contextText, {
-                absoluteOffset: absoluteOffset,
-                surroundingText: surroundingText,
-                fullText: cleanParagraphText, // Always use paragraph context
-                rawFullText: paragraph.textContent
-            });
+            lookUpCleanOffset(paragraph, absoluteOffset, contextText);
         } else {
-            // shioriLog("No Japanese text found in: " + contextText);
-            dismissDictionary();
+            debugLog("No lookup script found in: " + contextText);
+            missLookup();
         }
     } else {
-        dismissDictionary();
+        missLookup();
     }
-};
-
-// Register the click event listener
-document.addEventListener('click', documentClickListener, false);
+}
 
-// Ruby handling functions with improved unified context handling
-function handleRubyClick(event, rubyElement) {
-    // Get all rb elements within this ruby element
-    const rbElements = rubyElement.querySelectorAll('rb');
-    
-    // Get all RT elements for readings
-    const rtElements = rubyElement.querySelectorAll('rt');
-    
-    // First, try to determine what was actually clicked using improved caret position
-    const range = getImprovedCaretPosition({x: event.clientX, y: event.clientY});
-    if (!range) {
-        handleFullRubySelection(rubyElement);
-        return;
-    }
-    
-    const clickedNode = range.startContainer;
+// Send a lookup starting at a clean-text offset of a paragraph, with the same
+// paragraph context as every other lookup path
+function lookUpCleanOffset(paragraph, absoluteOffset, contextText) {
+    // Get clean paragraph text (without furigana) from the cached index
+    const cleanParagraphText = getTextIndex(paragraph).text;
     
-    // Find what element contains the clicked node
-    let containingElement = clickedNode;
-    if (clickedNode.nodeType === Node.TEXT_NODE) {
-        containingElement = clickedNode.parentNode;
-    }
+    // Get the sentence around the looked-up character for better context
+    const characterLength = getCharacterAt(cleanParagraphText, absoluteOffset).length || 1;
+    const sentenceContext = getSentenceContext(paragraph, absoluteOffset, characterLength, 250);
     
-    // Determine if this is RT (reading) or base text
-    const isRtElement = containingElement.tagName === 'RT' ||
-                       (containingElement.parentNode && containingElement.parentNode.tagName === 'RT');
+    rememberLookupContext(paragraph, 0, absoluteOffset);
     
-    // If user clicked on reading (RT), find the corresponding base character
-    if (isRtElement) {
-        // Find index of this RT among all RTs
-        const allRts = Array.from(rubyElement.querySelectorAll('rt'));
-        const clickedRtIndex = allRts.findIndex(rt => rt === containingElement || rt.contains(containingElement));
-        
-        // Get corresponding base text
-        if (rbElements.length > 0 && clickedRtIndex >= 0 && clickedRtIndex < rbElements.length) {
-            // For explicit rb elements
-            const correspondingRb = rbElements[clickedRtIndex];
-            
-            // Now use the corresponding base text for lookup with unified context
-            processTappedRubyTextUnified(
-                correspondingRb.textContent,
-                rtElements[clickedRtIndex].textContent,
-                rubyElement,
-                0 // Start of the ruby element
-            );
-            return;
-        } else {
-            // For implicit ruby, it's harder to determine
-            handleFullRubySelectionUnified(rubyElement);
-            return;
+    // Send to Swift with paragraph context
+    return sendWordToSwift(contextText, {
+        absoluteOffset: absoluteOffset,
+        surroundingText: sentenceContext.sentence,
+        sentenceTargetStart: sentenceContext.targetStart,
+        sentenceTargetEnd: sentenceContext.targetEnd,
+        fullText: cleanParagraphText, // Always use paragraph context
+        rawFullText: getRawText(paragraph),
+        reading: '',
+        isRuby: false
+    });
+}
+
+// TAP SNAPPING
+// Taps that land between lines, in line padding or past the end of a line get
+// no character from caretRangeFromPoint, or a far-away one. Such taps snap to
+// the nearest character within a radius when exactly one line is nearest, and
+// otherwise count as taps on empty space. The page-turn zones at the edges of
+// a paginated book never snap, so page turns don't become lookups.
+
+// Settings for tap snapping, updated from Swift
+const tapSnapSettings = {
+    enabled: true,
+    radius: 20,          // Furthest a character may be from the tap, in CSS pixels
+    ambiguity: 4,        // Another line this much further away still makes the tap ambiguous
+    pageTurnZone: 0.15   // Share of the viewport width at each side that turns pages
+};
+
+// Check whether a point is in a page-turn zone of a paginated book
+function isInPageTurnZone(point) {
+    if (!isPaginatedLayout()) {
+        return false;
+    }
+    const edge = window.innerWidth * tapSnapSettings.pageTurnZone;
+    return point.x < edge || point.x > window.innerWidth - edge;
+}
+
+// Check whether the character at a caret is actually under the point
+function isDirectCharacterHit(range, point) {
+    if (!range || range.startContainer.nodeType !== Node.TEXT_NODE) {
+        return false;
+    }
+    const node = range.startContainer;
+    if (range.startOffset >= node.textContent.length) {
+        return false;
+    }
+    // Tate-chu-yoko shares one cell, so the whole cell counts
+    let characterRange;
+    if (isCombinedUpright(node)) {
+        characterRange = document.createRange();
+        characterRange.selectNodeContents(node);
+    } else {
+        characterRange = createCleanCharacterRange(node, range.startOffset);
+    }
+    return bboxIncludesPoint(characterRange.getBoundingClientRect(), point, 1);
+}
+
+// Check whether two character boxes sit on the same line (column in vertical text)
+function isSameLine(rect, otherRect, vertical) {
+    return vertical ?
+           rect.left < otherRect.right && otherRect.left < rect.right :
+           rect.top < otherRect.bottom && otherRect.top < rect.bottom;
+}
+
+// Collect the lookup characters around a point by probing caret positions on
+// rings around it, each with its writing-mode-aware distance from the point
+function collectSnapCandidates(point) {
+    const radius = tapSnapSettings.radius;
+    const candidates = [];
+    const probes = [{ x: point.x, y: point.y }];
+    for (const distance of [radius / 2, radius]) {
+        for (let step = 0; step < 8; step++) {
+            const angle = step * Math.PI / 4;
+            probes.push({ x: point.x + Math.cos(angle) * distance, y: point.y + Math.sin(angle) * distance });
         }
     }
-    
-    // Get the text content of the ruby element - PROPERLY WITHOUT FURIGANA
-    const baseText = getFullRubyBaseText(rubyElement);
-    
-    // If we have explicit rb elements
-    if (rbElements.length > 0) {
-        // We have explicit rb elements, determine which one was clicked
-        const clickedRb = determineClickedElement(event, [...rbElements]);
-        
-        if (clickedRb) {
-            processTappedExplicitRubyTextUnified(clickedRb, rubyElement);
-            return;
+
+    for (const probe of probes) {
+        const caret = document.caretRangeFromPoint(probe.x, probe.y);
+        if (!caret || caret.startContainer.nodeType !== Node.TEXT_NODE) {
+            continue;
+        }
+        const node = caret.startContainer;
+        if (isInsideRubyReading(node, null)) {
+            continue;
+        }
+        const text = node.textContent;
+        let before = caret.startOffset - 1;
+        if (isInsideSurrogatePair(text, before)) {
+            before--;
+        }
+        for (const offset of [before, caret.startOffset]) {
+            if (offset < 0 || offset >= text.length || !isLookupScript(getCharacterAt(text, offset)) ||
+                candidates.some(candidate => candidate.node === node && candidate.offset === offset)) {
+                continue;
+            }
+            const rect = createCleanCharacterRange(node, offset).getBoundingClientRect();
+            if (rect.width === 0 && rect.height === 0) {
+                continue;
+            }
+            const distance = getAxisDistances(rect, point, isVerticalWritingMode(node));
+            if (Math.hypot(distance.block, distance.inline) <= radius) {
+                candidates.push({ node: node, offset: offset, rect: rect, distance: distance });
+            }
         }
-    } else {
-        // Implicit ruby without rb elements
-        
-        // Map click position to character position visually
-        const rubyRect = rubyElement.getBoundingClientRect();
-        const relativeX = event.clientX - rubyRect.left;
-        
-        // Calculate approximate character position based on relative click position
-        const clickRatio = relativeX / rubyRect.width;
-        const charPosition = Math.floor(clickRatio * baseText.length);
-        const adjustedPosition = Math.min(Math.max(0, charPosition), baseText.length - 1);
-        
-        // Use unified processing
-        processTappedRubyTextUnified(
-            baseText,
-            getFullRubyReading(rubyElement),
-            rubyElement,
-            adjustedPosition
-        );
-        
-        return;
     }
-    
-    // Fallback to using the full ruby content
-    handleFullRubySelectionUnified(rubyElement);
+    return candidates;
 }
 
-// UNIFIED RUBY PROCESSING FUNCTIONS
-// These functions provide consistent context and offset calculation for all ruby interactions
+// Find the caret to use for a tap that missed every character, or null when
+// the tap is on empty space, in a page-turn zone or between two lines
+function findSnappedCaret(point) {
+    if (isInPageTurnZone(point)) {
+        return null;
+    }
 
-// Get the paragraph containing an element and calculate consistent offsets
-function getUnifiedContextForElement(element) {
-    // Find the containing paragraph
-    let paragraph = element;
-    while (paragraph && paragraph.tagName !== 'P' && !paragraph.classList.contains('chapter-content') && !paragraph.classList.contains('chapter')) {
-        paragraph = paragraph.parentNode;
-        if (paragraph === document.body || !paragraph) {
-            // Fallback: use a parent that contains text
-            paragraph = element.closest('div, p, section, article') || element.parentNode;
-            break;
+    const candidates = collectSnapCandidates(point);
+    let best = null;
+    for (const candidate of candidates) {
+        if (!best || isCloserOnAxes(candidate.distance, best.distance)) {
+            best = candidate;
         }
     }
-    
-    if (!paragraph) {
-        paragraph = element.parentNode || element;
+    if (!best) {
+        return null;
     }
-    
-    // Get the clean text of the entire paragraph (without furigana)
-    const cleanParagraphText = getTextWithoutFurigana(paragraph);
-    
-    // Calculate the offset of the element within the clean paragraph text
-    const elementOffset = calculateCleanOffsetOfElement(element, paragraph);
-    
-    return {
-        cleanParagraphText: cleanParagraphText,
-        elementOffset: elementOffset,
-        paragraph: paragraph
-    };
+
+    // Two lines about as near as each other leave the tap ambiguous
+    const vertical = isVerticalWritingMode(best.node);
+    const rival = candidates.find(candidate =>
+        !isSameLine(candidate.rect, best.rect, vertical) &&
+        candidate.distance.block - best.distance.block < tapSnapSettings.ambiguity);
+    if (rival) {
+        debugLog("Tap between lines is ambiguous, not snapping");
+        return null;
+    }
+
+    const range = document.createRange();
+    range.setStart(best.node, best.offset);
+    range.setEnd(best.node, best.offset);
+    return range;
 }
 
-// FIXED: Calculate the offset of an element within the cleaned text of its container
-function calculateCleanOffsetOfElement(targetElement, containerElement) {
-    let offset = 0;
+// Turn tap snapping on or off, optionally changing its radius, ambiguity margin
+// or page-turn zone
+shiori.setTapSnapping = function(enabled, options = {}) {
+    for (const key of ['radius', 'ambiguity', 'pageTurnZone']) {
+        if (typeof options[key] === 'number' && options[key] >= 0) {
+            tapSnapSettings[key] = options[key];
+        }
+    }
+    tapSnapSettings.enabled = !!enabled;
+    return { ...tapSnapSettings };
+};
+
+// Settings for ruby taps, updated from Swift
+const rubySettings = {
+    lookUpReading: false    // A tap on furigana looks up the reading instead of the base
+};
+
+// Ruby handling: resolve the tapped base character from its rendered box, or
+// the tapped reading from its ruby pair, and look it up with that pair's reading
+function handleRubyClick(event, rubyElement) {
+    const point = {x: event.clientX, y: event.clientY};
+    const range = getImprovedCaretPosition(point);
+    noteTapTrace({ caret: range });
     
-    // Safety check to prevent infinite recursion
-    if (!targetElement || !containerElement || targetElement === containerElement) {
-        // shioriLog(`Safety check failed: targetElement=${!!targetElement}, containerElement=${!!containerElement}, same=${targetElement === containerElement}`);
-        return 0;
+    const pairs = getRubyModel(rubyElement);
+    if (pairs.length === 0) {
+        handleFullRubySelectionUnified(rubyElement);
+        return;
     }
     
-    // shioriLog(`🔧 OFFSET CALC START: Target=${targetElement.tagName || 'TEXT'}, Container=${containerElement.tagName}`);
+    // A tap on furigana belongs to the pair that reading annotates
+    const tappedElement = event.target.nodeType === Node.ELEMENT_NODE ? event.target : event.target.parentElement;
+    const caretElement = range && (range.startContainer.nodeType === Node.TEXT_NODE ?
+                                   range.startContainer.parentElement :
+                                   range.startContainer);
+    const readingElement = [tappedElement, caretElement]
+        .map(element => element && element.closest('rt, rtc'))
+        .find(element => element && element.closest('ruby') === rubyElement);
     
-    // First, let's try a different approach - manually walk through nodes
-    // and build the clean text while tracking our target
-    function walkAndCount(node, target) {
-        let currentOffset = 0;
-        let found = false;
-        
-        // shioriLog(`🔍 Starting walkAndCount for target in container`);
-        
-        function processNode(currentNode, depth = 0) {
-            // If we found our target, stop
-            if (found) return;
-            
-            const indent = '  '.repeat(depth);
-            // shioriLog(`${indent}Processing node: ${currentNode.nodeType === Node.TEXT_NODE ? 'TEXT' : currentNode.tagName || 'UNKNOWN'} - offset: ${currentOffset}`);
-            
-            // Check if this is our target
-            if (currentNode === target) {
-                found = true;
-                // shioriLog(`${indent}🎯 FOUND TARGET at offset ${currentOffset}`);
-                return;
-            }
-            
-            // Process based on node type
-            if (currentNode.nodeType === Node.TEXT_NODE) {
-                // For text nodes, check if they contain our target
-                if (target.nodeType === Node.TEXT_NODE && currentNode === target) {
-                    found = true;
-                    // shioriLog(`${indent}🎯 FOUND TARGET TEXT NODE at offset ${currentOffset}`);
-                    return;
-                }
-                
-                // Add text length if this isn't inside RT/RP
-                let parent = currentNode.parentNode;
-                let insideRubyReading = false;
-                while (parent && parent !== containerElement) {
-                    if (parent.tagName === 'RT' || parent.tagName === 'RP') {
-                        insideRubyReading = true;
-                        break;
-                    }
-                    parent = parent.parentNode;
-                }
-                
-                if (!insideRubyReading) {
-                    const textLength = currentNode.textContent.length;
-                    currentOffset += textLength;
-                    // shioriLog(`${indent}📝 Added text node (length=${textLength}): "${currentNode.textContent.substring(0, 20)}..." -> offset=${currentOffset}`);
-                } else {
-                    // shioriLog(`${indent}⏭️ Skipping text node inside RT/RP: "${currentNode.textContent.substring(0, 20)}..."`);
-                }
-            }
-            else if (currentNode.nodeType === Node.ELEMENT_NODE) {
-                if (currentNode.tagName === 'RT' || currentNode.tagName === 'RP') {
-                    // Skip RT and RP elements entirely
-                    // shioriLog(`${indent}⏭️ Skipping ${currentNode.tagName} element`);
-                    return;
-                }
-                else if (currentNode.tagName && currentNode.tagName.toUpperCase() === 'RUBY') {
-                    // shioriLog(`${indent}💎 Processing RUBY element`);
-                    
-                    // Check if our target is inside this ruby
-                    if (currentNode.contains(target)) {
-                        // shioriLog(`${indent}💎 This RUBY contains our target`);
-                        
-                        // We need to count characters within this ruby up to our target
-                        // Get the base text without furigana
-                        const rubyBaseText = getFullRubyBaseText(currentNode);
-                        // shioriLog(`${indent}💎 Ruby base text: "${rubyBaseText}"`);
-                        
-                        // Check if we have explicit rb elements
-                        const rbElements = currentNode.querySelectorAll('rb');
-                        
-                        if (rbElements.length > 0) {
-                            // shioriLog(`${indent}💎 Found ${rbElements.length} RB elements`);
-                            // Explicit rb structure - count rb elements until we find our target
-                            for (let i = 0; i < rbElements.length; i++) {
-                                const rb = rbElements[i];
-                                const rbText = cleanRubyText(rb.textContent);
-                                // shioriLog(`${indent}💎 Processing RB[${i}]: "${rbText}"`);
-                                
-                                if (rb.contains(target) || rb === target) {
-                                    // shioriLog(`${indent}💎 Target found in RB[${i}]`);
-                                    
-                                    if (target.nodeType === Node.TEXT_NODE && rb.contains(target)) {
-                                        // Target is a text node within this rb
-                                        // We need to find the offset within this rb
-                                        let rbOffset = 0;
-                                        for (const child of rb.childNodes) {
-                                            if (child === target) {
-                                                currentOffset += rbOffset;
-                                                found = true;
-                                                // shioriLog(`${indent}🎯 FOUND TARGET within RB at offset ${currentOffset}`);
-                                                return;
-                                            }
-                                            if (child.nodeType === Node.TEXT_NODE) {
-                                                rbOffset += child.textContent.length;
-                                            }
-                                        }
-                                    } else {
-                                        // Target is the rb element itself or direct text
-                                        currentOffset += rbText.length;
-                                        found = true;
-                                        // shioriLog(`${indent}🎯 FOUND TARGET RB at offset ${currentOffset}`);
-                                        return;
-                                    }
-                                    break;
-                                } else {
-                                    // This rb comes before our target, count its characters
-                                    currentOffset += rbText.length;
-                                    // shioriLog(`${indent}💎 Added previous RB[${i}] (length=${rbText.length}): "${rbText}" -> offset=${currentOffset}`);
-                                }
-                            }
-                        } else {
-                            // shioriLog(`${indent}💎 Implicit ruby structure, processing text nodes`);
-                            // Implicit ruby structure - need to process text nodes directly
-                            for (const child of currentNode.childNodes) {
-                                if (child.nodeType === Node.ELEMENT_NODE && 
-                                    (child.tagName === 'RT' || child.tagName === 'RP')) {
-                                    // Skip RT and RP elements
-                                    // shioriLog(`${indent}💎 Skipping ${child.tagName} in implicit ruby`);
-                                    continue;
-                                }
-                                
-                                if (child === target) {
-                                    found = true;
-                                    // shioriLog(`${indent}🎯 FOUND TARGET in implicit ruby at offset ${currentOffset}`);
-                                    return;
-                                }
-                                
-                                if (child.nodeType === Node.TEXT_NODE) {
-                                    if (child === target) {
-                                        found = true;
-                                        // shioriLog(`${indent}🎯 FOUND TARGET TEXT in implicit ruby at offset ${currentOffset}`);
-                                        return;
-                                    }
-                                    currentOffset += child.textContent.length;
-                                    // shioriLog(`${indent}💎 Added implicit ruby text (length=${child.textContent.length}): "${child.textContent}" -> offset=${currentOffset}`);
-                                }
-                            }
-                        }
-                        
-                        if (!found) {
-                            // shioriLog(`${indent}⚠️ Target not found within ruby, this shouldn't happen`);
-                        }
-                        return; // Don't process children again
-                    } else {
-                        // This ruby doesn't contain our target, so just add its base text length
-                        const rubyBaseText = getFullRubyBaseText(currentNode);
-                        const rubyLength = rubyBaseText.length;
-                        currentOffset += rubyLength;
-                        // shioriLog(`${indent}💎 Added complete ruby element (length=${rubyLength}): "${rubyBaseText}" -> offset=${currentOffset}`);
-                        return; // CRITICAL: Don't process children - we've already counted the base text
-                    }
-                }
-                
-                // For other elements, process children
-                // shioriLog(`${indent}Processing children of ${currentNode.tagName}`);
-                for (const child of currentNode.childNodes) {
-                    processNode(child, depth + 1);
-                    if (found) return;
-                }
-            }
-        }
-        
-        // Start processing from container's children
-        for (const child of node.childNodes) {
-            processNode(child);
-            if (found) break;
-        }
-        
-        return currentOffset;
+    if (readingElement) {
+        const pairIndex = pairs.findIndex(pair => pair.readingElements.some(element =>
+            element === readingElement || element.contains(readingElement) || readingElement.contains(element)));
+        const pair = pairs[Math.max(0, pairIndex)];
+        const reading = getRubyReadingFrom(pairs, Math.max(0, pairIndex));
+        processTappedRubyTextUnified(
+            getTextIndex(rubyElement).text.substring(pair.start),
+            reading,
+            rubyElement,
+            pair.start,
+            rubySettings.lookUpReading ? reading : null
+        );
+        return;
     }
     
-    const result = walkAndCount(containerElement, targetElement);
-    // shioriLog(`🏁 FINAL OFFSET: ${result}`);
-    return result;
+    // Otherwise find the base character under the tap from the character boxes,
+    // falling back to where the caret landed
+    let baseIndex = findRubyBaseIndexAtPoint(rubyElement, point);
+    if (baseIndex < 0 && range && rubyElement.contains(range.startContainer)) {
+        baseIndex = getTextIndexOffset(getTextIndex(rubyElement), range.startContainer, range.startOffset);
+    }
+    
+    lookUpRubyBaseIndex(rubyElement, baseIndex, pairs);
 }
 
-// Unified function to process tapped ruby text
-function processTappedRubyTextUnified(baseText, reading, rubyElement, rubyInternalOffset) {
-    // Clean base text to ensure no furigana
-    baseText = cleanRubyText(baseText);
+// Look up a ruby element from a character of its clean base text, with the
+// reading of the pair that character belongs to
+function lookUpRubyBaseIndex(rubyElement, baseIndex, pairs = getRubyModel(rubyElement)) {
+    const rubyText = getTextIndex(rubyElement).text;
+    baseIndex = Math.min(Math.max(0, baseIndex), Math.max(0, rubyText.length - 1));
+    let pairIndex = pairs.findIndex(pair => baseIndex >= pair.start && baseIndex < pair.end);
+    if (pairIndex < 0) {
+        pairIndex = 0;
+    }
     
-    // Get paragraph context the same way as regular text
-    let paragraph = rubyElement.parentNode;
+    processTappedRubyTextUnified(
+        rubyText.substring(baseIndex),
+        getRubyReadingFrom(pairs, pairIndex),
+        rubyElement,
+        baseIndex
+    );
+}
+
+// Reading of a ruby element from one of its pairs to the end, so a tap on the
+// second character of mono ruby still sends the rest of the word's reading
+function getRubyReadingFrom(pairs, pairIndex) {
+    return pairs.slice(pairIndex).map(pair => pair.reading || '').join('');
+}
+
+// Change how taps on ruby are looked up
+shiori.setRubyOptions = function(options = {}) {
+    if (options.lookUpReading !== undefined) {
+        rubySettings.lookUpReading = !!options.lookUpReading;
+    }
+    return { ...rubySettings };
+};
+
+// UNIFIED RUBY PROCESSING FUNCTIONS
+// These functions provide consistent context and offset calculation for all ruby interactions
+
+// Find the paragraph or chapter container used as the context for offsets,
+// falling back to the starting element when none is found nearby
+function findParagraphContainer(startElement) {
+    let paragraph = startElement;
     let searchDepth = 0;
     const maxDepth = 10;
     
-    // Find the paragraph or chapter container
     while (paragraph && searchDepth < maxDepth && 
            paragraph.tagName !== 'P' && 
            !paragraph.classList.contains('chapter-content') && 
@@ -552,68 +1120,65 @@ function processTappedRubyTextUnified(baseText, reading, rubyElement, rubyIntern
         paragraph = paragraph.parentNode;
         searchDepth++;
         if (paragraph === document.body || !paragraph) {
-            paragraph = rubyElement.parentNode;
+            paragraph = startElement;
             break;
         }
     }
     
+    return paragraph;
+}
+
+// Calculate the offset of an element within the cleaned text of its container
+function calculateCleanOffsetOfElement(targetElement, containerElement) {
+    // Safety check
+    if (!targetElement || !containerElement || targetElement === containerElement) {
+        return 0;
+    }
+    
+    return getTextIndexOffset(getTextIndex(containerElement), targetElement, 0);
+}
+
+// Unified function to process tapped ruby text; baseText is the clean text from
+// the tapped character, and searchText replaces the base text as the lookup string
+function processTappedRubyTextUnified(baseText, reading, rubyElement, rubyInternalOffset, searchText = null) {
+    // Get paragraph context the same way as regular text
+    const paragraph = findParagraphContainer(rubyElement.parentNode);
+    
     // Get clean paragraph text (without furigana)
     const cleanParagraphText = getTextWithoutFurigana(paragraph);
     
     // Calculate the absolute offset within the paragraph
-    let absoluteOffset = 0;
-    try {
-        absoluteOffset = calculateCleanOffsetOfElement(rubyElement, paragraph) + rubyInternalOffset;
-    } catch (error) {
-        // shioriLog(`Error calculating ruby offset: ${error}`);
-        absoluteOffset = rubyInternalOffset;
-    }
+    const absoluteOffset = calculateCleanOffsetOfElement(rubyElement, paragraph) + rubyInternalOffset;
+    noteTapTrace({ paragraph: paragraph, absoluteOffset: absoluteOffset });
     
-    // Get extended surrounding text for better context
-    const surroundingText = getExtendedSurroundingText(rubyElement, baseText, 250);
+    // Get the sentence around the tapped ruby text for better context,
+    // targeting the base text from the tapped character to the end of the ruby
+    const rubyRemainingLength = getTextWithoutFurigana(rubyElement).length - rubyInternalOffset;
+    const targetLength = Math.max(1, Math.min(baseText.length, rubyRemainingLength));
+    const sentenceContext = getSentenceContext(paragraph, absoluteOffset, targetLength, 250);
     
     // Get the text to search from the clicked position for dictionary lookup
-    const searchText = cleanParagraphText.substring(absoluteOffset);
+    if (!searchText) {
+        searchText = getLookupTextAtOffset(paragraph, absoluteOffset);
+    }
     
-    // shioriLog(`Ruby context: baseText='${baseText}', cleanText length=${cleanParagraphText.length}, absoluteOffset=${absoluteOffset}`);
+    debugLog(`Ruby context: baseText='${baseText}', cleanText length=${cleanParagraphText.length}, absoluteOffset=${absoluteOffset}`);
+    
+    rememberLookupContext(paragraph, 0, absoluteOffset);
     
     // Send the search text for dictionary lookup, but provide paragraph context for character picker
     sendWordToSwift(searchText, {
         reading: reading,
-        surroundingText: surroundingText,
+        surroundingText: sentenceContext.sentence,
+        sentenceTargetStart: sentenceContext.targetStart,
+        sentenceTargetEnd: sentenceContext.targetEnd,
         fullText: cleanParagraphText, // Same paragraph context as regular text
         absoluteOffset: absoluteOffset, // Absolute position in paragraph
-        rawFullText: paragraph.textContent,
-        isRuby: true,
-        isPartialCompound: false
+        rawFullText: getRawText(paragraph),
+        isRuby: true
     });
 }
 
-// Unified function to process explicit ruby text with rb elements
-function processTappedExplicitRubyTextUnified(clickedRb, rubyElement) {
-    // Get the clicked kanji (clean it to ensure no furigana)
-    const kanji = cleanRubyText(clickedRb.textContent);
-    
-    // Find the corresponding rt element (reading)
-    let reading = '';
-    const rbElements = rubyElement.querySelectorAll('rb');
-    const rbIndex = [...rbElements].indexOf(clickedRb);
-    const rtElements = rubyElement.querySelectorAll('rt');
-    
-    if (rtElements.length > rbIndex) {
-        reading = rtElements[rbIndex].textContent.trim();
-    }
-    
-    // Calculate the character offset within the ruby compound
-    let rubyInternalOffset = 0;
-    for (let i = 0; i < rbIndex; i++) {
-        rubyInternalOffset += cleanRubyText(rbElements[i].textContent).length;
-    }
-    
-    // Use the unified processing
-    processTappedRubyTextUnified(kanji, reading, rubyElement, rubyInternalOffset);
-}
-
 // Unified function to handle full ruby selection
 function handleFullRubySelectionUnified(rubyElement) {
     // Get the full ruby content (properly cleaned)
@@ -624,483 +1189,3448 @@ function handleFullRubySelectionUnified(rubyElement) {
     processTappedRubyTextUnified(fullBaseText, fullReading, rubyElement, 0);
 }
 
-// Function to process tapped ruby text
-function processTappedRubyText(baseText, reading, rubyElement) {
-    // Clean base text to ensure no furigana
-    baseText = cleanRubyText(baseText);
-    
-    // Get text after this ruby element
-    const textAfterRuby = getTextAfterElement(rubyElement, 30);
-    
-    // Combined text starting with the base text
-    const extendedText = baseText + textAfterRuby;
-    
-    // Get extended surrounding text for better context
-    const surroundingText = getExtendedSurroundingText(rubyElement, baseText, 250);
-    
-    sendWordToSwift(extendedText, {
-        reading: reading,
-        surroundingText: surroundingText,
-        fullText: extendedText, // Full context for character picker
-        absoluteOffset: 0, // Start from beginning of ruby text
-        isRuby: true,
-        isPartialCompound: false
-    });
-}
+// INLINE TEXT ITERATION
+// One walker for every lookup path: it follows inline content in document
+// order across spans, links and ruby, skips furigana, and stops at the edge
+// of the block the walk started in.
 
-// Process a tapped explicit ruby text (with rb elements)
-function processTappedExplicitRubyText(clickedRb, rubyElement) {
-    // Get the clicked kanji (clean it to ensure no furigana)
-    const kanji = cleanRubyText(clickedRb.textContent);
-    
-    // Find the corresponding rt element (reading)
-    let reading = '';
-    const rbElements = rubyElement.querySelectorAll('rb');
-    const rbIndex = [...rbElements].indexOf(clickedRb);
-    const rtElements = rubyElement.querySelectorAll('rt');
-    
-    if (rtElements.length > rbIndex) {
-        reading = rtElements[rbIndex].textContent.trim();
-    }
-    
-    // Get the full compound for context (clean all rb elements)
-    const fullRubyText = [...rbElements].map(rb => cleanRubyText(rb.textContent)).join('');
-    const fullReading = [...rtElements].map(rt => rt.textContent).join('');
-    
-    // Find the character offset within the full compound
-    let charOffset = 0;
-    for (let i = 0; i < rbIndex; i++) {
-        charOffset += cleanRubyText(rbElements[i].textContent).length;
+// Settings for lookup text, updated from Swift
+const lookupSettings = {
+    lookahead: 30,
+    scripts: ['japanese']   // Script groups whose text a tap looks up
+};
+
+// Elements that end a line of inline text
+const inlineBoundaryTags = new Set([
+    'P', 'DIV', 'LI', 'UL', 'OL', 'DL', 'DT', 'DD', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+    'BLOCKQUOTE', 'SECTION', 'ARTICLE', 'ASIDE', 'HEADER', 'FOOTER', 'NAV', 'FIGURE', 'FIGCAPTION',
+    'TABLE', 'TR', 'TD', 'TH', 'PRE', 'HR', 'BR', 'BODY', 'HTML'
+]);
+
+// Check whether an element is a block the walk must not cross
+function isInlineBoundary(element) {
+    if (inlineBoundaryTags.has(element.tagName)) {
+        return true;
     }
-    
-    // Get text after ruby element
-    const textAfterRuby = getTextAfterElement(rubyElement, 30);
-    
-    // Build the context for navigation - text from clicked character onwards
-    const fullContextText = fullRubyText + textAfterRuby;
-    
-    // Get the surrounding paragraph context
-    const surroundingText = getExtendedSurroundingText(rubyElement, fullRubyText, 250);
-    
-    sendWordToSwift(fullContextText, {
-        reading: reading,
-        fullCompound: fullRubyText,
-        fullReading: fullReading,
-        surroundingText: surroundingText,
-        fullText: fullContextText, // Full context for character picker navigation
-        absoluteOffset: charOffset, // Offset of clicked character within the ruby compound
-        isRuby: true,
-        isPartialCompound: true,
-        selectedIndex: rbIndex
-    });
+    const display = window.getComputedStyle(element).display || 'inline';
+    return !display.startsWith('inline') && !display.startsWith('ruby') && display !== 'contents';
 }
 
-function handleFullRubySelection(rubyElement) {
-    // Get the full ruby content (properly cleaned)
-    const fullBaseText = getFullRubyBaseText(rubyElement);
-    const fullReading = getFullRubyReading(rubyElement);
-    
-    // Get text from nodes after this ruby element
-    let textAfterRuby = '';
-    if (rubyElement.nextSibling) {
-        textAfterRuby = getTextFromNodeAndFollowing(rubyElement.nextSibling, 30);
+// Step to the next or previous node of the same block, descending into the
+// current node first when asked; null once the walk would leave the block
+function stepInlineNode(node, forward, descend) {
+    if (descend) {
+        const child = forward ? node.firstChild : node.lastChild;
+        if (child) {
+            return child;
+        }
     }
-    
-    // Combined text starting with the full ruby
-    const extendedText = fullBaseText + textAfterRuby;
-    
-    // Get extended surrounding text
-    const surroundingText = getExtendedSurroundingText(rubyElement, fullBaseText, 250);
-    
-    sendWordToSwift(extendedText, {
-        reading: fullReading,
-        textFromClickedKanji: extendedText,  // Include text after ruby
-        surroundingText: surroundingText,
-        textAfterRuby: textAfterRuby,
-        fullText: extendedText, // Full context for character picker
-        absoluteOffset: 0, // Start from beginning since full ruby selected
-        isRuby: true
-    });
+    let current = node;
+    while (current) {
+        const sibling = forward ? current.nextSibling : current.previousSibling;
+        if (sibling) {
+            return sibling;
+        }
+        current = current.parentNode;
+        if (!current || current.nodeType !== Node.ELEMENT_NODE || isInlineBoundary(current)) {
+            return null;
+        }
+    }
+    return null;
 }
 
-// Helper to get all base text parts
-function getBaseTextParts(rubyElement, parts) {
-    for (const node of rubyElement.childNodes) {
+// Walk the text nodes and gaiji after (or before) a node in the same block,
+// skipping furigana
+function* iterateInlineText(startNode, forward = true) {
+    let node = startNode;
+    let descend = false;
+    while ((node = stepInlineNode(node, forward, descend))) {
+        descend = false;
         if (node.nodeType === Node.TEXT_NODE) {
-            if (node.textContent.trim()) {
-                parts.push(node);
+            if (!isInsideRubyReading(node, null)) {
+                yield node;
             }
         } else if (node.nodeType === Node.ELEMENT_NODE) {
-            if (node.tagName !== 'RT' && node.tagName !== 'RP') {
-                if (node.childNodes.length > 0) {
-                    getBaseTextParts(node, parts);
-                } else {
-                    parts.push(node);
-                }
+            // Furigana is stepped over whole, whatever its display
+            if (node.tagName === 'RT' || node.tagName === 'RP' || node.tagName === 'RTC') {
+                continue;
             }
+            if (isGaijiImage(node)) {
+                yield node;
+                continue;
+            }
+            if (isInlineBoundary(node)) {
+                return;
+            }
+            descend = true;
         }
     }
-    
-    return parts;
 }
 
-// Helper to get text after an element
-function getTextAfterElement(element, maxLength) {
-    let result = '';
-    let currentNode = element.nextSibling;
-    let textLength = 0;
-    
-    while (currentNode && textLength < maxLength) {
-        if (currentNode.nodeType === Node.TEXT_NODE) {
-            result += currentNode.textContent;
-            textLength += currentNode.textContent.length;
-        } else if (currentNode.nodeType === Node.ELEMENT_NODE &&
-                  currentNode.tagName !== 'RT' &&
-                  currentNode.tagName !== 'RP') {
-            for (const child of currentNode.childNodes) {
-                if (child.nodeType === Node.TEXT_NODE) {
-                    result += child.textContent;
-                    textLength += child.textContent.length;
-                }
+// Read up to maxLength characters of inline text from a position in a text
+// node or gaiji, forwards (the text after it) or backwards (the text before it).
+// Characters are grapheme clusters, so a cut never splits a surrogate pair or
+// separates a kanji from its variation selector.
+function readInlineText(node, offset, maxLength, forward = true) {
+    const nodeText = getCleanNodeText(node);
+    let text = forward ? nodeText.substring(offset) : nodeText.substring(0, offset);
+    // Every character is at least one UTF-16 unit, so stop gathering once
+    // there is one more unit than needed, for a character that continues
+    if (text.length <= maxLength) {
+        for (const next of iterateInlineText(node, forward)) {
+            text = forward ? text + getCleanNodeText(next) : getCleanNodeText(next) + text;
+            if (getCharacterBoundaries(text).length - 1 > maxLength) {
+                break;
             }
         }
-        
-        if (textLength >= maxLength) break;
-        currentNode = currentNode.nextSibling;
     }
-    
-    return result;
+    return clipCharacters(text, maxLength, !forward);
 }
 
-// Get text starting from a node and collecting from siblings
-function getTextFromNodeAndFollowing(startNode, maxLength, skipRubyRt = true) {
-    let result = '';
-    let currentNode = startNode;
-    
-    // Function to check if a node should be skipped
-    function shouldSkipNode(node) {
-        if (!node) return true;
-        if (skipRubyRt && node.nodeType === Node.ELEMENT_NODE &&
-            (node.tagName === 'RT' || node.tagName === 'RP')) {
-            return true;
-        }
-        return false;
+// The lookup string starting at a clean-text offset of a container
+function getLookupTextAtOffset(container, cleanOffset) {
+    const position = getTextIndexPosition(getTextIndex(container), cleanOffset, false);
+    if (!position) {
+        return '';
     }
-    
-    // Process the start node itself
-    if (!shouldSkipNode(currentNode)) {
-        if (currentNode.nodeType === Node.TEXT_NODE) {
-            result += currentNode.textContent;
-        } else if (currentNode.nodeType === Node.ELEMENT_NODE) {
-            // For elements, get text but skip rt/rp
-            for (const child of currentNode.childNodes) {
-                if (!shouldSkipNode(child)) {
-                    if (child.nodeType === Node.TEXT_NODE) {
-                        result += child.textContent;
-                    } else if (child.nodeType === Node.ELEMENT_NODE && child.tagName === 'RUBY') {
-                        // For ruby elements, get only base text
-                        result += getFullRubyBaseText(child);
-                    } else {
-                        result += getTextFromNodeAndFollowing(child, maxLength - result.length, skipRubyRt);
-                    }
-                }
-            }
-        }
+    return readInlineText(position.node, position.offset, lookupSettings.lookahead, true);
+}
+
+// Change how much text a lookup sends
+shiori.setLookupOptions = function(options = {}) {
+    if (Number.isInteger(options.lookahead) && options.lookahead > 0) {
+        lookupSettings.lookahead = options.lookahead;
     }
-    
-    // Stop if we've collected enough text
-    if (result.length >= maxLength) {
-        return result.substring(0, maxLength);
+    if (Array.isArray(options.scripts)) {
+        lookupSettings.scripts = options.scripts.filter(group => lookupScriptGroups[group]);
     }
-    
-    // Process siblings
-    while (result.length < maxLength && currentNode.nextSibling) {
-        currentNode = currentNode.nextSibling;
-        if (!shouldSkipNode(currentNode)) {
-            if (currentNode.nodeType === Node.TEXT_NODE) {
-                result += currentNode.textContent;
-            } else if (currentNode.nodeType === Node.ELEMENT_NODE) {
-                if (currentNode.tagName === 'RUBY') {
-                    // For ruby elements, get only base text
-                    result += getFullRubyBaseText(currentNode);
-                } else {
-                    // For other elements, get all text content, skipping rt/rp
-                    result += getTextFromNodeAndFollowing(currentNode, maxLength - result.length, skipRubyRt);
-                }
-            }
+    return true;
+};
+
+// SENTENCE SEGMENTATION
+// Finds the sentence around a clean-text offset for Anki context
+
+// Punctuation that ends a sentence
+const sentenceEnders = '。．！？!?';
+
+// Brackets and quotes whose contents never end the enclosing sentence
+const openingBrackets = '「『（(【〈《〔［[｛{〝“‘';
+const closingBrackets = '」』）)】〉》〕］]｝}〟”’';
+
+// Settings for sentence extraction, updated from Swift
+const sentenceSettings = {
+    useIntlSegmenter: false // Use Intl.Segmenter boundaries instead of the punctuation rules
+};
+
+// Block elements whose sentences may continue into their neighbours
+const sentenceBlockTags = ['P', 'DIV'];
+
+// Bracket nesting depth before every position of the text. Brackets that are never
+// closed (e.g. a quote carried over from another paragraph) are ignored so they
+// can't swallow the rest of the text.
+function getBracketDepths(text) {
+    const openStack = [];
+    for (let i = 0; i < text.length; i++) {
+        if (openingBrackets.includes(text[i])) {
+            openStack.push(i);
+        } else if (closingBrackets.includes(text[i])) {
+            openStack.pop();
         }
     }
+    const unclosed = new Set(openStack);
     
-    // Look at parent's siblings if needed and if we have a parent
-    if (result.length < maxLength && startNode.parentNode && startNode.parentNode.nextSibling) {
-        let parentSibling = startNode.parentNode.nextSibling;
-        result += getTextFromNodeAndFollowing(parentSibling, maxLength - result.length, skipRubyRt);
+    const depths = new Array(text.length + 1);
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+        depths[i] = depth;
+        if (openingBrackets.includes(text[i]) && !unclosed.has(i)) {
+            depth++;
+        } else if (closingBrackets.includes(text[i])) {
+            depth = Math.max(0, depth - 1);
+        }
     }
+    depths[text.length] = depth;
     
-    // Limit to maxLength
-    return result.substring(0, maxLength);
+    return depths;
 }
 
-// Function to get the single sentence containing the selected text
-function getExtendedSurroundingText(element, selectedText, maxLength) {
-    const sentenceEnders = ['。', '！', '？', '!', '?'];
+// Find the end offset (exclusive) of every sentence in the text
+function findSentenceEnds(text) {
+    const depths = getBracketDepths(text);
+    const ends = [];
     
-    // First, try to get context from the paragraph containing the element
-    const paragraph = element.closest('p, div.chapter-content, div.chapter');
+    if (sentenceSettings.useIntlSegmenter && typeof Intl !== 'undefined' && Intl.Segmenter) {
+        // Keep only the segmenter's boundaries that fall outside brackets
+        let position = 0;
+        for (const { segment } of new Intl.Segmenter('ja', { granularity: 'sentence' }).segment(text)) {
+            position += segment.length;
+            if (depths[position] === 0 || position === text.length) {
+                ends.push(position);
+            }
+        }
+        return ends;
+    }
     
-    if (paragraph) {
-        // Get the text content of the paragraph WITHOUT furigana
-        const paragraphText = getTextWithoutFurigana(paragraph);
-        
-        // Find the selected text in the paragraph
-        const selectedIndex = paragraphText.indexOf(selectedText);
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
         
-        if (selectedIndex >= 0) {
-            // Determine which sentence contains our selected text
-            // First, find all sentence boundaries
-            const sentenceBoundaries = [];
-            for (let i = 0; i < paragraphText.length; i++) {
-                if (sentenceEnders.includes(paragraphText[i])) {
-                    sentenceBoundaries.push(i);
-                }
-            }
-            
-            // Add the start and end of text as boundaries
-            sentenceBoundaries.unshift(-1); // Start of text (will use index+1)
-            sentenceBoundaries.push(paragraphText.length - 1); // End of text
-            
-            // Find which sentence contains our selected text
-            let sentenceStart = 0;
-            let sentenceEnd = paragraphText.length;
-            
-            for (let i = 0; i < sentenceBoundaries.length - 1; i++) {
-                const startPos = sentenceBoundaries[i] + 1;
-                const endPos = sentenceBoundaries[i + 1] + 1;
-                
-                // Check if selected text is within this sentence
-                if (selectedIndex >= startPos && selectedIndex < endPos) {
-                    sentenceStart = startPos;
-                    sentenceEnd = endPos;
-                    break;
-                }
+        if (sentenceEnders.includes(char) && depths[i] === 0) {
+            // Trailing enders and closing quotes belong to the sentence they follow
+            let end = i + 1;
+            while (end < text.length &&
+                   (sentenceEnders.includes(text[end]) || closingBrackets.includes(text[end]))) {
+                end++;
             }
-            
-            // Extract the single sentence
-            const sentence = paragraphText.substring(sentenceStart, sentenceEnd).trim();
-            
-            return sentence;
+            ends.push(end);
+            i = end - 1;
+        } else if (closingBrackets.includes(char) && depths[i] > 0 && depths[i + 1] === 0 &&
+                   i + 1 < text.length && openingBrackets.includes(text[i + 1])) {
+            // Back-to-back quotes (「…」「…」) are separate utterances
+            ends.push(i + 1);
         }
     }
     
-    // Fallback to using just the selected text
-    return selectedText;
+    if (ends.length === 0 || ends[ends.length - 1] < text.length) {
+        ends.push(text.length);
+    }
+    
+    return ends;
 }
 
-// Helper function to get text content excluding furigana
-function getTextWithoutFurigana(element) {
-    // Clone the element to avoid modifying the original
-    const clone = element.cloneNode(true);
-    
-    // Remove all RT elements from the clone
-    const rtElements = clone.querySelectorAll('rt');
-    rtElements.forEach(rt => rt.remove());
-    
-    // Also remove RP elements (ruby parentheses) if present
-    const rpElements = clone.querySelectorAll('rp');
-    rpElements.forEach(rp => rp.remove());
-    
-    // Get the text content of the cleaned clone
-    return clone.textContent;
+// Check whether text finishes a sentence, ignoring trailing whitespace
+function endsSentence(text) {
+    const trimmed = text.trimEnd();
+    if (trimmed.length === 0) {
+        return true;
+    }
+    const lastChar = trimmed[trimmed.length - 1];
+    return sentenceEnders.includes(lastChar) || closingBrackets.includes(lastChar);
 }
 
-// Helper to find which element was clicked based on position
-function determineClickedElement(event, elements) {
-    if (elements.length === 0) return null;
-    
-    // Find the element that was clicked or closest to the click
-    let closestElement = null;
-    let minDistance = Number.MAX_VALUE;
-    
-    for (const element of elements) {
-        const rect = element.getBoundingClientRect();
-        
-        // Check if click is within this element
-        if (event.clientX >= rect.left &&
-            event.clientX <= rect.right &&
-            event.clientY >= rect.top &&
-            event.clientY <= rect.bottom) {
-            return element; // Direct hit
-        }
-        
-        // Calculate center of the element
-        const centerX = (rect.left + rect.right) / 2;
-        const centerY = (rect.top + rect.bottom) / 2;
-        
-        // Calculate distance to click
-        const distance = Math.sqrt(
-            Math.pow(event.clientX - centerX, 2) +
-            Math.pow(event.clientY - centerY, 2)
-        );
-        
-        if (distance < minDistance) {
-            minDistance = distance;
-            closestElement = element;
+// Find the nearest sibling block with text, for sentences that continue across elements
+function getAdjacentSentenceBlock(paragraph, forward) {
+    if (!sentenceBlockTags.includes(paragraph.tagName)) {
+        return null;
+    }
+    let sibling = forward ? paragraph.nextElementSibling : paragraph.previousElementSibling;
+    while (sibling && sentenceBlockTags.includes(sibling.tagName)) {
+        if (getTextWithoutFurigana(sibling).trim().length > 0) {
+            return sibling;
         }
+        sibling = forward ? sibling.nextElementSibling : sibling.previousElementSibling;
     }
-    
-    return closestElement;
+    return null;
 }
 
-// Function to get base text from ruby element WITHOUT furigana
-function getFullRubyBaseText(rubyElement) {
-    // First try to get text from explicit rb elements
-    const rbElements = rubyElement.querySelectorAll('rb');
-    if (rbElements.length > 0) {
-        // Clean each rb to remove any nested furigana
-        return Array.from(rbElements)
-            .map(rb => cleanRubyText(rb.textContent))
-            .join('');
-    }
+// Get the sentence containing a span of the paragraph's clean text, along with the
+// span's start and end inside the returned sentence. Sentences that run on into
+// neighbouring paragraphs are joined, up to maxLength characters. The parts list
+// gives the clean-text range each block contributes, in sentence order.
+function getSentenceContext(paragraph, absoluteOffset, targetLength, maxLength) {
+    const paragraphText = getTextWithoutFurigana(paragraph);
+    const offset = Math.min(Math.max(0, absoluteOffset), Math.max(0, paragraphText.length - 1));
     
-    // Handle implicit base text (direct text nodes or non-rt elements)
-    // Create a clone of the ruby element
-    const clonedRuby = rubyElement.cloneNode(true);
+    const ends = findSentenceEnds(paragraphText);
+    const endIndex = ends.findIndex(end => end > offset);
+    const sentenceEnd = endIndex >= 0 ? ends[endIndex] : paragraphText.length;
+    const sentenceStart = endIndex > 0 ? ends[endIndex - 1] : 0;
     
-    // Remove all RT and RP elements
-    const rtElements = clonedRuby.querySelectorAll('rt');
-    rtElements.forEach(rt => rt.remove());
+    let sentence = paragraphText.substring(sentenceStart, sentenceEnd);
+    let targetStart = offset - sentenceStart;
+    const parts = [{ element: paragraph, start: sentenceStart, end: sentenceEnd }];
     
-    const rpElements = clonedRuby.querySelectorAll('rp');
-    rpElements.forEach(rp => rp.remove());
+    // Pull in the unfinished end of the previous paragraph
+    if (sentenceStart === 0) {
+        const previousBlock = getAdjacentSentenceBlock(paragraph, false);
+        const previousText = previousBlock ? getTextWithoutFurigana(previousBlock).trimEnd() : '';
+        if (previousText && !endsSentence(previousText)) {
+            const previousEnds = findSentenceEnds(previousText);
+            const lastStart = previousEnds.length > 1 ? previousEnds[previousEnds.length - 2] : 0;
+            const fragment = previousText.substring(lastStart);
+            if (fragment.length + sentence.length <= maxLength) {
+                sentence = fragment + sentence;
+                targetStart += fragment.length;
+                parts.unshift({ element: previousBlock, start: lastStart, end: previousText.length });
+            }
+        }
+    }
     
-    // Now get the text content of the cleaned element
-    return clonedRuby.textContent.trim();
+    // Pull in the beginning of the next paragraph when the sentence doesn't end here
+    if (sentenceEnd === paragraphText.length && !endsSentence(sentence)) {
+        const nextBlock = getAdjacentSentenceBlock(paragraph, true);
+        const rawNextText = nextBlock ? getTextWithoutFurigana(nextBlock) : '';
+        const nextText = rawNextText.trimStart();
+        if (nextText) {
+            const fragment = nextText.substring(0, findSentenceEnds(nextText)[0]);
+            if (fragment.length + sentence.length <= maxLength) {
+                const trailingWhitespace = sentence.length - sentence.trimEnd().length;
+                const fragmentStart = rawNextText.length - nextText.length;
+                sentence = sentence.trimEnd() + fragment;
+                parts[parts.length - 1].end -= trailingWhitespace;
+                parts.push({ element: nextBlock, start: fragmentStart, end: fragmentStart + fragment.length });
+            }
+        }
+    }
+    
+    // Trim surrounding whitespace while keeping the target offsets and parts aligned
+    const leadingWhitespace = sentence.length - sentence.trimStart().length;
+    const trailingWhitespace = sentence.trimStart().length - sentence.trim().length;
+    sentence = sentence.trim();
+    parts[0].start = Math.min(parts[0].start + leadingWhitespace, parts[0].end);
+    parts[parts.length - 1].end = Math.max(parts[parts.length - 1].end - trailingWhitespace, parts[parts.length - 1].start);
+    targetStart = Math.min(Math.max(0, targetStart - leadingWhitespace), sentence.length);
+    const targetEnd = Math.min(sentence.length, targetStart + Math.max(1, targetLength));
+    
+    return {
+        sentence: sentence,
+        targetStart: targetStart,
+        targetEnd: targetEnd,
+        parts: parts
+    };
 }
 
-// Get readings from ruby element
-function getFullRubyReading(rubyElement) {
-    const rtElements = rubyElement.querySelectorAll('rt');
-    return Array.from(rtElements).map(rt => rt.textContent.trim()).join('');
+// SENTENCE EXPORT
+// Serialises the looked-up sentence from the ruby structure in the DOM, for Anki cards
+
+// Split a ruby element into base/reading pairs. Handles group ruby (漢字<rt>かんじ</rt>),
+// mono ruby (漢<rt>かん</rt>字<rt>じ</rt>), interleaved <rb>/<rt>, tabular
+// <rb><rb><rt><rt> and <rtc> markup. Base text without a reading gets a null
+// reading; readingElements are the rt (or rtc) elements that annotate the base.
+function getRubyPairs(rubyElement) {
+    const children = [...rubyElement.childNodes].filter(child =>
+        !(child.nodeType === Node.ELEMENT_NODE && child.tagName === 'RP'));
+    if (children.some(child => child.tagName === 'RTC')) {
+        return getRubyContainerPairs(children);
+    }
+    const rbElements = children.filter(child => child.tagName === 'RB');
+    const rtElements = children.filter(child => child.tagName === 'RT');
+    
+    // Tabular markup lists every base before every reading; anything else
+    // (usually whitespace) stays attached to the preceding base
+    const lastRbIndex = children.lastIndexOf(rbElements[rbElements.length - 1]);
+    const firstRtIndex = children.indexOf(rtElements[0]);
+    if (rbElements.length > 1 && rbElements.length === rtElements.length && lastRbIndex < firstRtIndex) {
+        const tabularPairs = [];
+        for (const child of children) {
+            if (child.tagName === 'RB') {
+                const rt = rtElements[tabularPairs.length];
+                tabularPairs.push({ base: [child], reading: rt.textContent.trim(), readingElements: [rt] });
+            } else if (child.tagName !== 'RT') {
+                if (tabularPairs.length > 0 && children.indexOf(child) < firstRtIndex) {
+                    tabularPairs[tabularPairs.length - 1].base.push(child);
+                } else {
+                    tabularPairs.push({ base: [child], reading: null, readingElements: [] });
+                }
+            }
+        }
+        return tabularPairs;
+    }
+    
+    const pairs = [];
+    let base = [];
+    for (const child of children) {
+        if (child.nodeType === Node.ELEMENT_NODE && child.tagName === 'RT') {
+            pairs.push({ base: base, reading: child.textContent.trim(), readingElements: [child] });
+            base = [];
+        } else {
+            base.push(child);
+        }
+    }
+    if (base.length > 0) {
+        pairs.push({ base: base, reading: null, readingElements: [] });
+    }
+    
+    return pairs;
 }
 
-// Helper to clean text that might contain furigana
-function cleanRubyText(text) {
-    // This is a simple filter that tries to remove all hiragana/katakana
-    // characters that might be inline with kanji text in ruby notation
+// Pair up ruby that uses <rtc>. The first annotation level (loose rt or the
+// first rtc) is the reading: one rt per base gives mono pairs, anything else
+// annotates the whole group. Later levels, like a translation on the other
+// side, are kept as readingElements so taps on them still find their base.
+function getRubyContainerPairs(children) {
+    const firstAnnotation = children.findIndex(child => child.tagName === 'RT' || child.tagName === 'RTC');
+    const bases = children.slice(0, firstAnnotation).filter(child =>
+        child.nodeType === Node.ELEMENT_NODE || child.textContent.trim().length > 0);
+    if (bases.length === 0) {
+        return [];
+    }
+    
+    // Each level is a list of rt elements, or the rtc itself when it holds bare text
+    const looseReadings = children.filter(child => child.tagName === 'RT');
+    const levels = children.filter(child => child.tagName === 'RTC').map(rtc => {
+        const rts = [...rtc.children].filter(child => child.tagName === 'RT');
+        return rts.length > 0 ? rts : [rtc];
+    });
+    if (looseReadings.length > 0) {
+        levels.unshift(looseReadings);
+    }
     
-    // Japanese hiragana and katakana ranges
-    const kanaPattern = /[\u3040-\u309F]|[\u30A0-\u30FF]/g;
+    const readingText = element => [...element.childNodes]
+        .filter(node => !(node.nodeType === Node.ELEMENT_NODE && node.tagName === 'RP'))
+        .map(node => node.textContent).join('').trim();
+    const primary = levels[0];
+    const others = levels.slice(1).flat();
+    
+    if (bases.length > 1 && primary.length === bases.length) {
+        return bases.map((base, index) => ({
+            base: [base],
+            reading: readingText(primary[index]),
+            readingElements: [primary[index], ...others]
+        }));
+    }
+    return [{
+        base: bases,
+        reading: primary.map(readingText).join(''),
+        readingElements: [...primary, ...others]
+    }];
+}
+
+// Ruby pairs with where each base sits in the ruby's clean text
+function getRubyModel(rubyElement) {
+    const index = getTextIndex(rubyElement);
+    return getRubyPairs(rubyElement).map(pair => {
+        const text = getNodesTextWithoutFurigana(pair.base);
+        const start = pair.base.length > 0 ? getTextIndexOffset(index, pair.base[0], 0) : 0;
+        return { ...pair, text: text, start: start, end: start + text.length };
+    });
+}
+
+// Clean text of a list of nodes
+function getNodesTextWithoutFurigana(nodes) {
+    return nodes.map(node => node.nodeType === Node.ELEMENT_NODE && !isGaijiImage(node) ?
+                             getTextWithoutFurigana(node) :
+                             getCleanNodeText(node)).join('');
+}
+
+// Turn a block into tokens of plain text and ruby pairs, each with its range in the
+// block's clean text
+function getSentenceTokens(blockElement) {
+    const tokens = [];
+    let offset = 0;
     
-    // For simple cases, just remove all kana characters mixed with kanji
-    // This is a basic approach and may not work for all cases
-    if (/[\u4E00-\u9FAF]/.test(text) && kanaPattern.test(text)) {
-        // If text has both kanji and kana, and it's likely ruby text,
-        // try removing all kana
-        return text.replace(kanaPattern, '');
+    function addNodes(nodes) {
+        for (const node of nodes) {
+            if (node.nodeType === Node.TEXT_NODE || isGaijiImage(node)) {
+                const text = getCleanNodeText(node);
+                tokens.push({ text: text, reading: null, start: offset, end: offset + text.length });
+                offset += text.length;
+            } else if (node.nodeType === Node.ELEMENT_NODE) {
+                if (node.tagName === 'RT' || node.tagName === 'RP' || node.tagName === 'RTC') {
+                    continue;
+                }
+                if (node.tagName === 'RUBY' && !isPlainTextRuby(node)) {
+                    for (const pair of getRubyPairs(node)) {
+                        // Nested ruby keeps the inner readings, which are the furigana
+                        const nested = pair.base.some(child => child.nodeType === Node.ELEMENT_NODE &&
+                                                      (child.tagName === 'RUBY' || child.querySelector('ruby')));
+                        if (pair.reading && !nested) {
+                            const text = getNodesTextWithoutFurigana(pair.base);
+                            tokens.push({ text: text, reading: pair.reading, start: offset, end: offset + text.length });
+                            offset += text.length;
+                        } else {
+                            addNodes(pair.base);
+                        }
+                    }
+                } else {
+                    addNodes([...node.childNodes]);
+                }
+            }
+        }
     }
     
-    // If it doesn't match the pattern, or it's all kana, return as is
-    return text.trim();
+    addNodes([...blockElement.childNodes]);
+    return tokens;
 }
 
-// Utility function to send word data to Swift
-function sendWordToSwift(text, options = {}) {
-    try {
-        if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.wordTapped) {
-            // Combine text with options
-            const data = { text, ...options };
-            // shioriLog("Sending word to Swift: " + text);
-            window.webkit.messageHandlers.wordTapped.postMessage(data);
-            return true;
+// Cut tokens down to a clean-text range, splitting plain text at the target bounds.
+// Ruby that is only partly inside the range loses its reading; ruby that is partly
+// inside the target is marked as a whole.
+function clipSentenceTokens(tokens, start, end, targetStart, targetEnd) {
+    const clipped = [];
+    
+    for (const token of tokens) {
+        const clipStart = Math.max(start, token.start);
+        const clipEnd = Math.min(end, token.end);
+        if (clipStart >= clipEnd) {
+            continue;
+        }
+        
+        if (token.reading && clipStart === token.start && clipEnd === token.end) {
+            clipped.push({
+                text: token.text,
+                reading: token.reading,
+                inTarget: token.start < targetEnd && token.end > targetStart
+            });
+            continue;
+        }
+        
+        // Plain text (or a partial ruby) split where the target begins and ends
+        const cuts = [clipStart, clipEnd];
+        if (targetStart > clipStart && targetStart < clipEnd) cuts.push(targetStart);
+        if (targetEnd > clipStart && targetEnd < clipEnd) cuts.push(targetEnd);
+        cuts.sort((a, b) => a - b);
+        
+        for (let i = 0; i < cuts.length - 1; i++) {
+            clipped.push({
+                text: token.text.substring(cuts[i] - token.start, cuts[i + 1] - token.start),
+                reading: null,
+                inTarget: cuts[i] >= targetStart && cuts[i + 1] <= targetEnd
+            });
         }
-        return false;
-    } catch(e) {
-        // shioriLog("Error sending word to Swift: " + e);
-        return false;
     }
+    
+    return clipped;
 }
 
-// Function to get full context with proper furigana handling
-function getFullContextWithFuriganaHandling(textNode, clickOffset) {
-    // Get the paragraph containing this text node
-    let paragraph = textNode.parentNode;
-    while (paragraph && paragraph.tagName !== 'P' && !paragraph.classList.contains('chapter-content')) {
-        paragraph = paragraph.parentNode;
-        if (paragraph === document.body) {
-            paragraph = textNode.parentNode; // Fallback
-            break;
+// Escape text for HTML output
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Render tokens in one format: 'plain', 'anki' (漢字[かんじ]) or 'html' (<ruby>).
+// The target is wrapped in <b> for 'bold' or {{cN::…}} for 'cloze'.
+function renderSentenceTokens(tokens, format, targetMarker, clozeIndex) {
+    function renderToken(token, output, inCloze) {
+        if (!token.reading || format === 'plain') {
+            return format === 'html' ? escapeHtml(token.text) : token.text;
         }
+        if (format === 'html') {
+            return `<ruby>${escapeHtml(token.text)}<rt>${escapeHtml(token.reading)}</rt></ruby>`;
+        }
+        // Anki applies a reading to everything back to the previous space or tag,
+        // and the cloze prefix doesn't count as either
+        const needsSeparator = output.length > 0 ? !/[\s>]$/.test(output) : inCloze;
+        const separator = needsSeparator ? ' ' : '';
+        return `${separator}${token.text}[${token.reading}]`;
     }
     
-    if (!paragraph) {
-        // Simple fallback
-        return {
-            fullText: textNode.textContent,
-            cleanFullText: textNode.textContent,
-            adjustedOffset: clickOffset
-        };
+    let result = '';
+    let index = 0;
+    while (index < tokens.length) {
+        if (!tokens[index].inTarget || targetMarker === 'none') {
+            result += renderToken(tokens[index], result, false);
+            index++;
+            continue;
+        }
+        
+        let marked = '';
+        while (index < tokens.length && tokens[index].inTarget) {
+            marked += renderToken(tokens[index], marked, targetMarker === 'cloze');
+            index++;
+        }
+        result += targetMarker === 'cloze' ?
+                  `{{c${clozeIndex}::${marked}}}` :
+                  `<b>${marked}</b>`;
+    }
+    
+    return result;
+}
+
+// Export the sentence around the last lookup in every format. By default the target
+// is the match Swift last highlighted, or the tapped character if there was none;
+// the returned target grows to whole ruby words, exactly as the markers do.
+// Options: targetMarker ('none' | 'bold' | 'cloze'), clozeIndex, targetStart and
+// targetLength (in the character coordinates of the last wordTapped payload).
+shiori.exportSentence = function(options = {}) {
+    if (!lastLookupContext || !lastLookupContext.paragraph.isConnected) {
+        return null;
+    }
+    
+    const { paragraph, baseOffset, offset, match } = lastLookupContext;
+    const paragraphText = getTextIndex(paragraph).text;
+    const targetMarker = options.targetMarker || 'none';
+    const clozeIndex = options.clozeIndex || 1;
+    let targetStart = baseOffset + (match ? match.start : offset);
+    let targetLength = match ? match.length : (getCharacterAt(paragraphText, targetStart).length || 1);
+    if (options.targetStart !== undefined || options.targetLength !== undefined) {
+        const base = toCharacterOffset(paragraphText, baseOffset);
+        const start = options.targetStart ?? toCharacterOffset(paragraphText, targetStart) - base;
+        const end = start + (options.targetLength ?? 1);
+        targetStart = fromCharacterOffset(paragraphText, base + start);
+        targetLength = fromCharacterOffset(paragraphText, base + end) - targetStart;
+    }
+    
+    const context = getSentenceContext(paragraph, targetStart, targetLength, 250);
+    const tokens = [];
+    for (const part of context.parts) {
+        const partTarget = part.element === paragraph ?
+                           { start: targetStart, end: targetStart + targetLength } :
+                           { start: -1, end: -1 };
+        tokens.push(...clipSentenceTokens(getSentenceTokens(part.element), part.start, part.end,
+                                          partTarget.start, partTarget.end));
     }
     
-    // Get both the raw text (with furigana) and clean text (without furigana)
-    const rawText = paragraph.textContent;
-    const cleanText = getTextWithoutFurigana(paragraph);
+    // Ruby is marked as a whole, so the target is what was marked rather than the span asked for
+    const markedText = tokens.filter(token => token.inTarget).map(token => token.text).join('');
+    
+    return {
+        plain: renderSentenceTokens(tokens, 'plain', targetMarker, clozeIndex),
+        anki: renderSentenceTokens(tokens, 'anki', targetMarker, clozeIndex),
+        html: renderSentenceTokens(tokens, 'html', targetMarker, clozeIndex),
+        target: markedText || context.sentence.substring(context.targetStart, context.targetEnd)
+    };
+};
+
+// Helper function to get text content excluding furigana
+function getTextWithoutFurigana(element) {
+    return getTextIndex(element).text;
+}
+
+// Find the index of the base character under a point in a ruby element, using the
+// rendered box of every character so it works in horizontal and vertical text.
+// The index is in the ruby's clean text; returns -1 if nothing is rendered.
+function findRubyBaseIndexAtPoint(rubyElement, point) {
+    const vertical = isVerticalWritingMode(rubyElement);
+    let closest = null;
     
-    // Calculate the position in the clean text that corresponds to the clicked position
-    let adjustedOffset = 0;
+    for (const segment of getCleanTextSegments(rubyElement)) {
+        const text = getCleanNodeText(segment.node);
+        for (let i = 0; i < text.length; i += getCharacterAt(text, i).length) {
+            if (/\s/.test(text[i])) {
+                continue;
+            }
+            
+            const rect = createCleanCharacterRange(segment.node, i).getBoundingClientRect();
+            if (rect.width === 0 && rect.height === 0) {
+                continue;
+            }
+            
+            const distance = getAxisDistances(rect, point, vertical);
+            if (isCloserOnAxes(distance, closest)) {
+                closest = { index: segment.start + i, block: distance.block, inline: distance.inline };
+            }
+        }
+    }
     
-    // Walk through the paragraph's DOM structure to map the clicked position
-    // to the correct position in the cleaned text
+    return closest ? closest.index : -1;
+}
+
+// Function to get base text from ruby element WITHOUT furigana; kana in the
+// base, like okurigana, is part of it
+function getFullRubyBaseText(rubyElement) {
+    return getTextWithoutFurigana(rubyElement).trim();
+}
+
+// Get the reading of a ruby element, leaving out other annotation levels
+function getFullRubyReading(rubyElement) {
+    return getRubyReadingFrom(getRubyPairs(rubyElement), 0);
+}
+
+// Utility function to send word data to Swift
+function sendWordToSwift(text, options = {}) {
+    debugLog("Sending word to Swift: " + text);
+    const payload = toCharacterPayload({ text, ...options });
+    noteTapTrace({ payload: payload });
+    return postShioriMessage('lookup', payload);
+}
+
+// GAIJI AND EMPHASIS MARKS
+// Rare kanji are often published as small inline images with the character in
+// their alt text (or known to Swift by file name). They count as that text
+// everywhere clean text is used. Bouten published as ruby of emphasis dots is
+// not furigana, so it is read and looked up as plain text.
+
+// Images treated as gaiji
+const gaijiSelector = 'img.gaiji, img.gaiji-line, img.gaiji-wide';
+
+// Characters for gaiji images by file name, supplied by Swift
+let gaijiMapping = new Map();
+
+// Characters used as emphasis marks in ruby
+const emphasisMarkPattern = /^[\u30FB\uFF65\uFE45\uFE46\u2022\u25E6\u25CF\u25CB\u25CE\u25C9\u25B2\u25B3\u02D9]+$/;
+
+// Character Swift mapped a gaiji image's file to, if any
+function getMappedGaijiText(image) {
+    const source = image.getAttribute('src') || '';
+    const fileName = source.split(/[\/?#]/).filter(Boolean).pop() || source;
+    return gaijiMapping.get(source) || gaijiMapping.get(fileName);
+}
+
+// Text a gaiji image stands for: Swift's mapping first, then its alt text
+function getGaijiText(image) {
+    return getMappedGaijiText(image) || (image.getAttribute('alt') || '').trim();
+}
+
+// Check whether a node is a gaiji image with text to stand for
+function isGaijiImage(node) {
+    if (!node || node.nodeType !== Node.ELEMENT_NODE || node.tagName !== 'IMG') {
+        return false;
+    }
+    if (!node.matches(gaijiSelector) && !getMappedGaijiText(node)) {
+        return false;
+    }
+    return getGaijiText(node).length > 0;
+}
+
+// Clean text of one index segment: a text node or a gaiji image
+function getCleanNodeText(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return node.textContent;
+    }
+    return isGaijiImage(node) ? getGaijiText(node) : '';
+}
+
+// Check whether a ruby element only carries emphasis marks
+function isEmphasisRuby(element) {
+    if (!element || element.tagName !== 'RUBY') {
+        return false;
+    }
+    const readings = [...element.children].filter(child => child.tagName === 'RT');
+    return readings.length > 0 && readings.every(rt => emphasisMarkPattern.test(rt.textContent.trim()));
+}
+
+// Check whether a ruby element is read as plain text rather than base and furigana
+function isPlainTextRuby(element) {
+    return isGeneratedRuby(element) || isEmphasisRuby(element);
+}
+
+// Range over one character of a segment; a gaiji image is selected whole
+function createCleanCharacterRange(node, offset) {
+    const range = document.createRange();
+    if (node.nodeType === Node.TEXT_NODE) {
+        range.setStart(node, offset);
+        range.setEnd(node, offset + (getCharacterAt(node.textContent, offset).length || 1));
+    } else {
+        range.selectNode(node);
+    }
+    return range;
+}
+
+// Turn an index position into one a DOM range accepts; positions in a gaiji
+// image fall before it, or after it once past its start
+function toDomBoundary(position) {
+    if (position.node.nodeType === Node.TEXT_NODE) {
+        return position;
+    }
+    const parent = position.node.parentNode;
+    const childIndex = [...parent.childNodes].indexOf(position.node);
+    return { node: parent, offset: childIndex + (position.offset > 0 ? 1 : 0) };
+}
+
+// Tell the page which characters gaiji images stand for, by file name or src
+shiori.setGaijiMapping = function(mapping = {}) {
+    gaijiMapping = new Map(Object.entries(mapping).filter(([, text]) => typeof text === 'string' && text.length > 0));
+    // Every cached offset after a gaiji may have moved
+    textIndexCache = new WeakMap();
+    return gaijiMapping.size;
+};
+
+// PARAGRAPH TEXT INDEX
+// The clean (furigana-free) text of a container is built once and cached, together with
+// a map between clean-text offsets and DOM positions. Every code path that needs offsets
+// goes through this index; a MutationObserver drops entries when their DOM changes.
+
+// Cached indexes keyed by container element
+let textIndexCache = new WeakMap();
+
+// Observer that invalidates cached indexes when the document changes
+let textIndexObserver = null;
+
+// Check whether a node sits inside furigana (RT/RP/RTC) below the given container
+function isInsideRubyReading(node, containerElement) {
+    let parent = node.parentNode;
+    while (parent && parent !== containerElement) {
+        if (parent.tagName === 'RT' || parent.tagName === 'RP' || parent.tagName === 'RTC') {
+            return true;
+        }
+        parent = parent.parentNode;
+    }
+    return false;
+}
+
+// Drop the cached index of a node and of every container above it
+function invalidateTextIndexFrom(node) {
+    for (let current = node; current; current = current.parentNode) {
+        textIndexCache.delete(current);
+    }
+}
+
+// Invalidate the indexes affected by a batch of mutations
+function processTextIndexMutations(mutations) {
+    for (const mutation of mutations) {
+        invalidateTextIndexFrom(mutation.target);
+    }
+}
+
+// Start watching the document for changes that affect the clean text
+function ensureTextIndexObserver() {
+    if (textIndexObserver || typeof MutationObserver === 'undefined') {
+        return;
+    }
+    textIndexObserver = trackPageObserver(new MutationObserver(processTextIndexMutations));
+    textIndexObserver.observe(document.documentElement, {
+        childList: true,
+        characterData: true,
+        subtree: true
+    });
+}
+
+// Stop watching the document and forget every cached index
+function disconnectTextIndexObserver() {
+    if (textIndexObserver) {
+        textIndexObserver.disconnect();
+        textIndexObserver = null;
+    }
+    textIndexCache = new WeakMap();
+}
+
+// Walk the text nodes and gaiji of a container, skipping furigana, and record the
+// clean-text range each one covers
+function buildTextIndex(containerElement) {
+    const segments = [];
+    const segmentByNode = new Map();
     const walker = document.createTreeWalker(
-        paragraph,
-        NodeFilter.SHOW_TEXT,
+        containerElement,
+        NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT,
         {
             acceptNode: function(node) {
-                // Skip text nodes inside RT (furigana) elements
-                let parent = node.parentNode;
-                while (parent && parent !== paragraph) {
-                    if (parent.tagName === 'RT' || parent.tagName === 'RP') {
-                        return NodeFilter.FILTER_REJECT;
-                    }
-                    parent = parent.parentNode;
+                if (isInsideRubyReading(node, containerElement)) {
+                    return NodeFilter.FILTER_REJECT;
+                }
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    return isGaijiImage(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
                 }
                 return NodeFilter.FILTER_ACCEPT;
             }
         }
     );
-    
+
+    let text = '';
     let currentNode;
-    let cumulativeOffset = 0;
-    let found = false;
-    
     while (currentNode = walker.nextNode()) {
-        if (currentNode === textNode) {
-            // Found our target node
-            adjustedOffset = cumulativeOffset + clickOffset;
-            found = true;
+        const nodeText = getCleanNodeText(currentNode);
+        const segment = { node: currentNode, start: text.length, end: text.length + nodeText.length };
+        segments.push(segment);
+        segmentByNode.set(currentNode, segment);
+        text += nodeText;
+    }
+
+    return { container: containerElement, text: text, segments: segments, segmentByNode: segmentByNode };
+}
+
+// Get the cached index for a container, building it on first use
+function getTextIndex(containerElement) {
+    ensureTextIndexObserver();
+    if (!textIndexObserver) {
+        // Without an observer nothing would invalidate the cache
+        return buildTextIndex(containerElement);
+    }
+
+    // Apply mutations that happened earlier in this task before trusting the cache
+    processTextIndexMutations(textIndexObserver.takeRecords());
+
+    let index = textIndexCache.get(containerElement);
+    if (!index) {
+        index = buildTextIndex(containerElement);
+        textIndexCache.set(containerElement, index);
+    }
+    return index;
+}
+
+// Collect the text nodes that make up the clean (furigana-free) text of a container,
+// with the clean-text range each one covers
+function getCleanTextSegments(containerElement) {
+    return getTextIndex(containerElement).segments;
+}
+
+// Find the index of the first segment that ends after a clean-text offset
+function findSegmentIndex(segments, cleanOffset) {
+    let low = 0;
+    let high = segments.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (segments[middle].end <= cleanOffset) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+// Convert a DOM position into a caret offset in the indexed clean text.
+// Positions inside furigana resolve to the start of their ruby base.
+function getTextIndexOffset(index, node, offset) {
+    const containerElement = index.container;
+    const { segments } = index;
+    const totalLength = index.text.length;
+
+    if (!containerElement.contains(node)) {
+        // Clamp positions outside the container to its start or end
+        return (containerElement.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_PRECEDING) ? 0 : totalLength;
+    }
+
+    const element = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    const rubyReading = element && element.closest('rt, rp, rtc');
+    if (rubyReading && containerElement.contains(rubyReading) && rubyReading.closest('ruby')) {
+        node = rubyReading.closest('ruby');
+        offset = 0;
+    }
+
+    const segment = index.segmentByNode.get(node);
+    if (segment) {
+        // Gaiji count as their whole text, so any offset past one is its end
+        const nodeOffset = node.nodeType === Node.TEXT_NODE ? offset : (offset > 0 ? segment.end - segment.start : 0);
+        return segment.start + Math.min(nodeOffset, segment.end - segment.start);
+    }
+
+    // Element positions resolve to the first text that follows them
+    const boundary = document.createRange();
+    boundary.setStart(node, offset);
+    let low = 0;
+    let high = segments.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (boundary.comparePoint(segments[middle].node, 0) >= 0) {
+            high = middle;
+        } else {
+            low = middle + 1;
+        }
+    }
+    return low < segments.length ? segments[low].start : totalLength;
+}
+
+// Convert a clean-text offset into a DOM position. At the boundary between two
+// text nodes the end of the earlier one is used when atEnd is set.
+function getTextIndexPosition(index, cleanOffset, atEnd) {
+    const { segments } = index;
+    if (segments.length === 0) {
+        return null;
+    }
+
+    let segmentIndex = findSegmentIndex(segments, atEnd ? cleanOffset - 1 : cleanOffset);
+    if (segmentIndex >= segments.length) {
+        segmentIndex = segments.length - 1;
+    }
+    const segment = segments[segmentIndex];
+    const offset = Math.min(Math.max(0, cleanOffset - segment.start), segment.end - segment.start);
+    return { node: segment.node, offset: offset };
+}
+
+// Build a single DOM range covering a clean-text span, furigana included
+function createDomRangeForCleanSpan(index, start, end) {
+    if (start >= end || start < 0 || end > index.text.length) {
+        return null;
+    }
+
+    const startPosition = getTextIndexPosition(index, start, false);
+    const endPosition = getTextIndexPosition(index, end, true);
+    if (!startPosition || !endPosition) {
+        return null;
+    }
+
+    const rangeStart = toDomBoundary(startPosition);
+    const rangeEnd = toDomBoundary(endPosition);
+    const range = document.createRange();
+    range.setStart(rangeStart.node, rangeStart.offset);
+    range.setEnd(rangeEnd.node, rangeEnd.offset);
+    return range;
+}
+
+// MATCH HIGHLIGHTING
+// Draws the characters the dictionary actually matched, using clean-text offsets from Swift
+
+// Name of the CSS highlight used for the dictionary match
+const matchHighlightName = 'shiori-match';
+
+// Record where the current lookup came from and clear any previous match highlight.
+// The offset is in the payload's coordinates, which start at baseOffset in the paragraph.
+function rememberLookupContext(paragraph, baseOffset, offset) {
+    clearMatchHighlight();
+    lastLookupContext = paragraph ? { paragraph: paragraph, baseOffset: baseOffset, offset: offset, match: null } : null;
+}
+
+// Build one DOM range per text node covered by a clean-text span, so that
+// furigana between base characters is never part of the result
+function createRangesForCleanSpan(containerElement, start, length) {
+    return createRangesForSegments(getCleanTextSegments(containerElement), start, start + length);
+}
+
+// Build DOM ranges for a span of clean text from the segments that cover it
+function createRangesForSegments(segments, start, end) {
+    const ranges = [];
+
+    for (let i = findSegmentIndex(segments, start); i < segments.length; i++) {
+        const segment = segments[i];
+        if (segment.start >= end) {
             break;
         }
-        cumulativeOffset += currentNode.textContent.length;
+        if (segment.end <= start || segment.start === segment.end) {
+            continue;
+        }
+
+        const range = document.createRange();
+        if (segment.node.nodeType === Node.TEXT_NODE) {
+            range.setStart(segment.node, Math.max(start, segment.start) - segment.start);
+            range.setEnd(segment.node, Math.min(end, segment.end) - segment.start);
+        } else {
+            range.selectNode(segment.node);
+        }
+        ranges.push(range);
     }
-    
-    if (!found) {
-        // Fallback: use the click offset as-is
-        adjustedOffset = clickOffset;
+
+    return ranges;
+}
+
+// Derive a translucent highlight colour from the text colour so it works on every theme
+function getThemeHighlightColor(element, alpha) {
+    const color = window.getComputedStyle(element).color || '';
+    const channels = color.match(/[\d.]+/g);
+    if (!channels || channels.length < 3) {
+        return `rgba(128, 128, 128, ${alpha})`;
     }
-    
-    // Ensure offset is within bounds
-    adjustedOffset = Math.min(Math.max(0, adjustedOffset), cleanText.length - 1);
-    
-    return {
-        fullText: rawText,
-        cleanFullText: cleanText,
-        adjustedOffset: adjustedOffset
-    };
+    return `rgba(${channels[0]}, ${channels[1]}, ${channels[2]}, ${alpha})`;
 }
 
-// Send a ready notification
-try {
-    sendWordToSwift("WordSelection script ready", { type: "initialization" });
-    // shioriLog("Ready notification sent successfully");
-} catch(e) {
-    // shioriLog("Error sending ready notification: " + e);
+// Create or update the stylesheet rule for a named CSS highlight
+function setHighlightStyle(highlightName, declarations) {
+    injectPageStyle(`${highlightName}-style`, `::highlight(${highlightName}) { ${declarations} }`);
+}
+
+// Check that the CSS Custom Highlight API is available in this WebView
+function supportsCustomHighlights() {
+    return typeof CSS !== 'undefined' && CSS.highlights && typeof Highlight !== 'undefined';
 }
+
+// Remove the dictionary match highlight
+function clearMatchHighlight() {
+    if (supportsCustomHighlights()) {
+        CSS.highlights.delete(matchHighlightName);
+    }
+}
+
+// Highlight the dictionary match. The start offset and length count characters, in
+// the same clean paragraph coordinates as the absoluteOffset of the last lookup.
+shiori.highlightMatch = function(startOffset, length) {
+    clearMatchHighlight();
+
+    if (!lastLookupContext || !(length > 0)) {
+        return false;
+    }
+
+    const { paragraph, baseOffset } = lastLookupContext;
+    if (!paragraph.isConnected) {
+        lastLookupContext = null;
+        return false;
+    }
+
+    // Remember the match so exports can mark the same word
+    const paragraphText = getTextIndex(paragraph).text;
+    const base = toCharacterOffset(paragraphText, baseOffset);
+    const start = fromCharacterOffset(paragraphText, base + startOffset);
+    const end = fromCharacterOffset(paragraphText, base + startOffset + length);
+    lastLookupContext.match = { start: start - baseOffset, length: end - start };
+
+    return drawMatchHighlight();
+};
+
+// Draw the dictionary match remembered for the last lookup
+function drawMatchHighlight() {
+    clearMatchHighlight();
+    if (!supportsCustomHighlights() || !lastLookupContext || !lastLookupContext.match) {
+        return false;
+    }
+
+    const { paragraph, baseOffset, match } = lastLookupContext;
+    const ranges = paragraph.isConnected ? createRangesForCleanSpan(paragraph, baseOffset + match.start, match.length) : [];
+    if (ranges.length === 0) {
+        return false;
+    }
+
+    setHighlightStyle(matchHighlightName, `background-color: ${getThemeHighlightColor(paragraph, 0.25)};`);
+    CSS.highlights.set(matchHighlightName, new Highlight(...ranges));
+    return true;
+}
+
+// Allow Swift to clear the highlight when the popup is closed natively
+shiori.clearMatchHighlight = function() {
+    clearMatchHighlight();
+    lastHoverScanKey = null;
+    return true;
+};
+
+// VOCABULARY MARKING
+// Colour-codes every occurrence of the user's saved vocabulary in the chapter text
+
+// Statuses Swift can send, with the default colour for each
+const vocabularyStatusColors = {
+    known: 'rgba(76, 175, 80, 0.8)',
+    learning: 'rgba(255, 152, 0, 0.8)',
+    unknown: 'rgba(33, 150, 243, 0.8)'
+};
+
+// Elements treated as separate blocks of text when searching for vocabulary
+const textBlockSelector = 'p, h1, h2, h3, h4, h5, h6, li, dt, dd, td, th, blockquote, figcaption, div, section, article, body';
+
+// Name of the CSS highlight used for a vocabulary status
+function vocabularyHighlightName(status) {
+    return `shiori-vocab-${status}`;
+}
+
+// Group the clean text of a root element into blocks, keeping the text node segments
+// of each block so matches can be turned back into DOM ranges
+function getCleanTextBlocks(root) {
+    const blocks = new Map();
+
+    for (const segment of getCleanTextSegments(root)) {
+        const parent = segment.node.parentElement;
+        const blockElement = (parent && parent.closest(textBlockSelector)) || root;
+
+        let block = blocks.get(blockElement);
+        if (!block) {
+            block = { element: blockElement, segments: [], text: '' };
+            blocks.set(blockElement, block);
+        }
+
+        const blockStart = block.text.length;
+        const segmentText = getCleanNodeText(segment.node);
+        block.segments.push({
+            node: segment.node,
+            start: blockStart,
+            end: blockStart + segmentText.length
+        });
+        block.text += segmentText;
+    }
+
+    return [...blocks.values()];
+}
+
+// Index vocabulary by first character, longest surfaces first so compounds win over their parts
+function buildVocabularyIndex(vocabulary) {
+    const statusBySurface = new Map();
+    for (const entry of vocabulary) {
+        if (entry && typeof entry.text === 'string' && entry.text.length > 0 &&
+            Object.prototype.hasOwnProperty.call(vocabularyStatusColors, entry.status)) {
+            statusBySurface.set(entry.text, entry.status);
+        }
+    }
+
+    const index = new Map();
+    for (const [surface, status] of statusBySurface) {
+        const firstChar = surface[0];
+        if (!index.has(firstChar)) {
+            index.set(firstChar, []);
+        }
+        index.get(firstChar).push({ surface, status });
+    }
+
+    for (const candidates of index.values()) {
+        candidates.sort((a, b) => b.surface.length - a.surface.length);
+    }
+
+    return index;
+}
+
+// The vocabulary list and colours last applied, so the marks can be redrawn
+let lastVocabularyMarks = null;
+
+// Remove all vocabulary marks from the page
+function clearVocabularyMarks() {
+    if (!supportsCustomHighlights()) {
+        return;
+    }
+    for (const status of Object.keys(vocabularyStatusColors)) {
+        CSS.highlights.delete(vocabularyHighlightName(status));
+    }
+}
+
+// Mark every occurrence of the vocabulary in the chapter. Each entry is
+// { text: surface form, status: 'known' | 'learning' | 'unknown' }.
+// Marks are drawn with CSS highlights, so the DOM and tap handling are untouched.
+shiori.applyVocabularyMarks = function(vocabulary, colors = {}) {
+    clearVocabularyMarks();
+    lastVocabularyMarks = Array.isArray(vocabulary) ? { vocabulary: vocabulary, colors: colors } : null;
+
+    if (!supportsCustomHighlights() || !Array.isArray(vocabulary) || !document.body) {
+        return 0;
+    }
+
+    const index = buildVocabularyIndex(vocabulary);
+    if (index.size === 0) {
+        return 0;
+    }
+
+    const rangesByStatus = {};
+    for (const status of Object.keys(vocabularyStatusColors)) {
+        rangesByStatus[status] = [];
+    }
+
+    let matchCount = 0;
+    for (const block of getCleanTextBlocks(document.body)) {
+        const text = block.text;
+        let position = 0;
+
+        while (position < text.length) {
+            const candidates = index.get(text[position]);
+            const match = candidates && candidates.find(candidate => text.startsWith(candidate.surface, position));
+
+            if (match) {
+                const end = position + match.surface.length;
+                rangesByStatus[match.status].push(...createRangesForSegments(block.segments, position, end));
+                matchCount++;
+                position = end;
+            } else {
+                position++;
+            }
+        }
+    }
+
+    for (const status of Object.keys(vocabularyStatusColors)) {
+        if (rangesByStatus[status].length === 0) {
+            continue;
+        }
+        const color = colors[status] || vocabularyStatusColors[status];
+        const highlightName = vocabularyHighlightName(status);
+        setHighlightStyle(highlightName, `text-decoration: underline 2px ${color}; text-underline-offset: 0.2em;`);
+        CSS.highlights.set(highlightName, new Highlight(...rangesByStatus[status]));
+    }
+
+    return matchCount;
+};
+
+// Remove the vocabulary marks, e.g. before the list is re-sent
+shiori.clearVocabularyMarks = function() {
+    clearVocabularyMarks();
+    lastVocabularyMarks = null;
+    return true;
+};
+
+// RANGE SELECTION
+// Press-and-drag selection of an arbitrary span, for phrases the deinflector can't segment
+
+// Settings for the selection gesture, updated from Swift
+const rangeSelectionSettings = {
+    enabled: false,
+    longPressDelay: 450, // ms the pointer must rest before a selection starts
+    moveTolerance: 10    // px the pointer may drift before the press counts as a scroll
+};
+
+// Name of the CSS highlight used for the selected span
+const rangeSelectionHighlightName = 'shiori-selection';
+
+// Current selection as clean-text character indices within its paragraph
+let rangeSelection = null;
+
+// Pointer press that may turn into (or is driving) a selection
+let rangeSelectionPress = null;
+
+// Clicks that follow a finished selection gesture should not start a lookup
+let suppressClicksUntil = 0;
+
+// Get the half-open clean-text bounds of a selection
+function getRangeSelectionBounds(selection) {
+    const last = Math.max(selection.anchor, selection.focus);
+    return {
+        start: Math.min(selection.anchor, selection.focus),
+        end: last + (getCharacterAt(getTextIndex(selection.paragraph).text, last).length || 1)
+    };
+}
+
+// Describe the current selection in the same paragraph coordinates sendWordToSwift uses
+function buildRangeSelectionPayload(selection) {
+    const { paragraph } = selection;
+    const cleanParagraphText = getTextWithoutFurigana(paragraph);
+    const { start, end } = getRangeSelectionBounds(selection);
+    const text = cleanParagraphText.substring(start, end);
+    const domRange = createDomRangeForCleanSpan(getTextIndex(paragraph), start, end);
+    const sentenceContext = getSentenceContext(paragraph, start, end - start, 250);
+
+    return toCharacterPayload({
+        text: text,
+        rawText: domRange ? getRawRangeText(domRange) : text,
+        startOffset: start,
+        endOffset: end,
+        surroundingText: sentenceContext.sentence,
+        sentenceTargetStart: sentenceContext.targetStart,
+        sentenceTargetEnd: sentenceContext.targetEnd,
+        fullText: cleanParagraphText,
+        rawFullText: getRawText(paragraph)
+    });
+}
+
+// Utility function to send a finished selection to Swift
+function sendRangeSelectionToSwift(payload) {
+    return postShioriMessage('rangeSelection', payload);
+}
+
+// Inject the styles for selection handles and for suppressing the native selection UI
+function ensureRangeSelectionStyle() {
+    if (document.getElementById('shiori-selection-handle-style')) {
+        return;
+    }
+    injectPageStyle('shiori-selection-handle-style', `
+        html.shiori-range-selection-enabled { -webkit-touch-callout: none; -webkit-user-select: none; user-select: none; }
+        .shiori-selection-handle { position: absolute; width: 22px; height: 22px; margin: -11px 0 0 -11px;
+            border-radius: 50%; z-index: 2147483647; touch-action: none; pointer-events: auto; }
+    `);
+}
+
+// Create or move one of the two selection handles, in document coordinates
+function placeRangeSelectionHandle(which, x, y, color) {
+    let handle = document.querySelector(`.shiori-selection-handle[data-handle="${which}"]`);
+    if (!handle) {
+        handle = document.createElement('div');
+        handle.className = 'shiori-selection-handle';
+        handle.dataset.handle = which;
+        document.documentElement.appendChild(handle);
+    }
+    handle.style.left = `${x + window.scrollX}px`;
+    handle.style.top = `${y + window.scrollY}px`;
+    handle.style.backgroundColor = color;
+}
+
+// Highlight the selected span and position the handles at its two ends
+function drawRangeSelection() {
+    if (!rangeSelection) {
+        return;
+    }
+
+    const { paragraph } = rangeSelection;
+    const { start, end } = getRangeSelectionBounds(rangeSelection);
+    const ranges = createRangesForSegments(getCleanTextSegments(paragraph), start, end);
+
+    if (supportsCustomHighlights()) {
+        setHighlightStyle(rangeSelectionHighlightName, `background-color: ${getThemeHighlightColor(paragraph, 0.3)};`);
+        CSS.highlights.set(rangeSelectionHighlightName, new Highlight(...ranges));
+    }
+
+    if (ranges.length === 0) {
+        return;
+    }
+
+    const firstRects = ranges[0].getClientRects();
+    const lastRects = ranges[ranges.length - 1].getClientRects();
+    if (firstRects.length === 0 || lastRects.length === 0) {
+        return;
+    }
+
+    ensureRangeSelectionStyle();
+    const handleColor = getThemeHighlightColor(paragraph, 0.8);
+    const firstRect = firstRects[0];
+    const lastRect = lastRects[lastRects.length - 1];
+    placeRangeSelectionHandle('start', firstRect.left, firstRect.top, handleColor);
+    placeRangeSelectionHandle('end', lastRect.right, lastRect.bottom, handleColor);
+}
+
+// Stop a pending long press without touching an existing selection
+function cancelRangeSelectionPress() {
+    if (rangeSelectionPress && rangeSelectionPress.timer) {
+        clearPageTimeout(rangeSelectionPress.timer);
+    }
+    rangeSelectionPress = null;
+}
+
+// Remove the selection highlight and handles
+function clearRangeSelection() {
+    cancelRangeSelectionPress();
+    rangeSelection = null;
+    if (supportsCustomHighlights()) {
+        CSS.highlights.delete(rangeSelectionHighlightName);
+    }
+    document.querySelectorAll('.shiori-selection-handle').forEach(handle => handle.remove());
+}
+
+// Decide whether a click belongs to the selection gesture rather than a lookup
+function shouldIgnoreClickForRangeSelection(event) {
+    if (Date.now() < suppressClicksUntil) {
+        return true;
+    }
+    if (event.target.closest && event.target.closest('.shiori-selection-handle')) {
+        return true;
+    }
+    if (rangeSelection) {
+        // A tap anywhere else dismisses the selection
+        clearRangeSelection();
+        return true;
+    }
+    return false;
+}
+
+// Start a selection at the character under the long-pressed point
+function beginRangeSelection(point) {
+    const press = rangeSelectionPress;
+    if (!press) {
+        return;
+    }
+    press.timer = null;
+
+    const caret = getImprovedCaretPosition(point);
+    if (!caret) {
+        rangeSelectionPress = null;
+        return;
+    }
+
+    const startElement = caret.startContainer.nodeType === Node.TEXT_NODE ?
+                         caret.startContainer.parentNode :
+                         caret.startContainer;
+    const paragraph = findParagraphContainer(startElement);
+    const textLength = getTextWithoutFurigana(paragraph).length;
+    if (textLength === 0) {
+        rangeSelectionPress = null;
+        return;
+    }
+
+    const offset = getTextIndexOffset(getTextIndex(paragraph), caret.startContainer, caret.startOffset);
+    const index = Math.min(offset, textLength - 1);
+
+    clearRangeSelection();
+    rangeSelectionPress = press;
+    rangeSelection = { paragraph: paragraph, anchor: index, focus: index };
+    press.active = true;
+    drawRangeSelection();
+}
+
+// Move the focus end of the selection to the character under a point
+function extendRangeSelection(point) {
+    const { paragraph } = rangeSelection;
+    const caret = getImprovedCaretPosition(point);
+    if (!caret) {
+        return;
+    }
+
+    const textLength = getTextWithoutFurigana(paragraph).length;
+    const offset = getTextIndexOffset(getTextIndex(paragraph), caret.startContainer, caret.startOffset);
+    rangeSelection.focus = Math.min(Math.max(0, offset), textLength - 1);
+    drawRangeSelection();
+}
+
+// Send the selection once the finger lifts, and swallow the click that follows
+function finishRangeSelection() {
+    rangeSelectionPress = null;
+    suppressClicksUntil = Date.now() + 500;
+    if (rangeSelection) {
+        sendRangeSelectionToSwift(buildRangeSelectionPayload(rangeSelection));
+    }
+}
+
+// Start a long-press timer, or pick up a handle of the existing selection
+function handleRangeSelectionPointerDown(event) {
+    if (!rangeSelectionSettings.enabled || event.button > 0) {
+        return;
+    }
+
+    const handle = event.target.closest && event.target.closest('.shiori-selection-handle');
+    if (handle && rangeSelection) {
+        // Dragging a handle moves that end and keeps the other one fixed
+        const { start, end } = getRangeSelectionBounds(rangeSelection);
+        const movingStart = handle.dataset.handle === 'start';
+        rangeSelection.anchor = movingStart ? end - 1 : start;
+        rangeSelection.focus = movingStart ? start : end - 1;
+        rangeSelectionPress = { pointerId: event.pointerId, x: event.clientX, y: event.clientY, timer: null, active: true };
+        event.preventDefault();
+        event.stopPropagation();
+        return;
+    }
+
+    cancelRangeSelectionPress();
+    const point = { x: event.clientX, y: event.clientY };
+    rangeSelectionPress = {
+        pointerId: event.pointerId,
+        x: point.x,
+        y: point.y,
+        active: false,
+        timer: setPageTimeout(() => beginRangeSelection(point), rangeSelectionSettings.longPressDelay)
+    };
+}
+
+// Extend an active selection, or give up on a press that turned into a scroll
+function handleRangeSelectionPointerMove(event) {
+    const press = rangeSelectionPress;
+    if (!press || event.pointerId !== press.pointerId) {
+        return;
+    }
+
+    if (!press.active) {
+        // Moving before the long press fires means the user is scrolling or turning the page
+        const distance = Math.hypot(event.clientX - press.x, event.clientY - press.y);
+        if (distance > rangeSelectionSettings.moveTolerance) {
+            cancelRangeSelectionPress();
+        }
+        return;
+    }
+
+    event.preventDefault();
+    extendRangeSelection({ x: event.clientX, y: event.clientY });
+}
+
+// Finish the selection when the pointer lifts or is cancelled
+function handleRangeSelectionPointerUp(event) {
+    const press = rangeSelectionPress;
+    if (!press || event.pointerId !== press.pointerId) {
+        return;
+    }
+
+    if (press.active) {
+        finishRangeSelection();
+    } else {
+        // A short press is an ordinary tap; the click listener handles it
+        cancelRangeSelectionPress();
+    }
+}
+
+// Keep the page from scrolling while a selection is being dragged
+function handleRangeSelectionTouchMove(event) {
+    if (rangeSelectionPress && rangeSelectionPress.active) {
+        event.preventDefault();
+    }
+}
+
+// Turn the selection gesture on or off, optionally changing its timings
+shiori.setRangeSelectionEnabled = function(enabled, options = {}) {
+    Object.assign(rangeSelectionSettings, options, { enabled: !!enabled });
+    ensureRangeSelectionStyle();
+    document.documentElement.classList.toggle('shiori-range-selection-enabled', rangeSelectionSettings.enabled);
+    if (!rangeSelectionSettings.enabled) {
+        clearRangeSelection();
+    }
+    return true;
+};
+
+// Get the current selection, or null when nothing is selected
+shiori.getRangeSelection = function() {
+    return rangeSelection ? buildRangeSelectionPayload(rangeSelection) : null;
+};
+
+// Remove the current selection, e.g. once Swift has used it
+shiori.clearRangeSelection = function() {
+    clearRangeSelection();
+    return true;
+};
+
+// HOVER SCANNING
+// Yomitan-style lookups when a mouse, trackpad or hovering pencil rests on a word
+
+// Settings for hover scanning, updated from Swift
+const hoverScanSettings = {
+    enabled: false,
+    delay: 250,       // ms the pointer must rest before looking up
+    modifier: null,   // 'shift', 'alt', 'ctrl' or 'meta' to require a held key, or null
+    moveThreshold: 4  // px of movement ignored as jitter
+};
+
+// Pending hover lookup and the position it was scheduled for
+let hoverScanTimer = null;
+let hoverScanPoint = null;
+
+// Paragraph and clean offset of the last hover lookup, to avoid re-sending it
+let lastHoverScanKey = null;
+
+// Check whether the configured modifier key is held for an event
+function isHoverModifierSatisfied(event) {
+    switch (hoverScanSettings.modifier) {
+        case 'shift': return event.shiftKey;
+        case 'alt': return event.altKey;
+        case 'ctrl': return event.ctrlKey;
+        case 'meta': return event.metaKey;
+        default: return true;
+    }
+}
+
+// Cancel any pending hover lookup
+function cancelHoverScan() {
+    if (hoverScanTimer) {
+        clearPageTimeout(hoverScanTimer);
+    }
+    hoverScanTimer = null;
+    hoverScanPoint = null;
+}
+
+// Resolve where a hover lookup would start, as the paragraph and clean offset under the point
+function getHoverScanKey(point) {
+    const caret = getImprovedCaretPosition(point);
+    if (!caret) {
+        return null;
+    }
+    const startElement = caret.startContainer.nodeType === Node.TEXT_NODE ?
+                         caret.startContainer.parentNode :
+                         caret.startContainer;
+    if (!startElement) {
+        return null;
+    }
+    const paragraph = findParagraphContainer(startElement);
+    const offset = getTextIndexOffset(getTextIndex(paragraph), caret.startContainer, caret.startOffset);
+    return { paragraph: paragraph, offset: offset };
+}
+
+// Check whether a hover position is still on the word that was last looked up,
+// either the same starting character or inside the match Swift highlighted
+function isSameHoverTarget(key) {
+    if (lastHoverScanKey &&
+        lastHoverScanKey.paragraph === key.paragraph &&
+        lastHoverScanKey.offset === key.offset) {
+        return true;
+    }
+
+    const context = lastLookupContext;
+    if (context && context.match && context.paragraph === key.paragraph) {
+        const matchStart = context.baseOffset + context.match.start;
+        return key.offset >= matchStart && key.offset < matchStart + context.match.length;
+    }
+
+    return false;
+}
+
+// Look up the word under a resting pointer, unless it's the one already shown
+function runHoverScan(target, point) {
+    hoverScanTimer = null;
+
+    const key = getHoverScanKey(point);
+    if (!key || isSameHoverTarget(key)) {
+        return;
+    }
+    lastHoverScanKey = key;
+
+    lookUpAtPointerEvent({ target: target, clientX: point.x, clientY: point.y }, false);
+}
+
+// Restart the rest timer whenever a hovering pointer moves beyond the jitter threshold
+function handleHoverScanPointerMove(event) {
+    if (!hoverScanSettings.enabled ||
+        (event.pointerType !== 'mouse' && event.pointerType !== 'pen') ||
+        event.buttons !== 0 ||
+        (rangeSelectionPress && rangeSelectionPress.active)) {
+        return;
+    }
+
+    if (!isHoverModifierSatisfied(event)) {
+        cancelHoverScan();
+        return;
+    }
+
+    const point = { x: event.clientX, y: event.clientY };
+    if (hoverScanPoint &&
+        Math.hypot(point.x - hoverScanPoint.x, point.y - hoverScanPoint.y) <= hoverScanSettings.moveThreshold) {
+        return;
+    }
+
+    cancelHoverScan();
+    hoverScanPoint = point;
+    const target = event.target;
+    hoverScanTimer = setPageTimeout(() => runHoverScan(target, point), hoverScanSettings.delay);
+}
+
+// Leaving the page (or the pointer going out of hover range) cancels the pending lookup
+function handleHoverScanPointerLeave(event) {
+    if (event.pointerType === 'mouse' || event.pointerType === 'pen') {
+        cancelHoverScan();
+    }
+}
+
+// Turn hover scanning on or off, optionally changing its delay, modifier or threshold
+shiori.setHoverScan = function(enabled, options = {}) {
+    Object.assign(hoverScanSettings, options, { enabled: !!enabled });
+    cancelHoverScan();
+    lastHoverScanKey = null;
+    return true;
+};
+
+// KEYBOARD CURSOR
+// A visible lookup caret for hardware keyboards, moved with the arrow keys
+
+// Settings for keyboard mode, updated from Swift
+const keyboardCursorSettings = {
+    enabled: false
+};
+
+// Name of the CSS highlight used to draw the caret
+const keyboardCursorHighlightName = 'shiori-keyboard-caret';
+
+// Caret position in the same clean paragraph offsets as tap lookups
+let keyboardCursor = null;
+
+// Check whether a clean-text character is worth stopping on
+function isCursorStop(text, offset) {
+    return offset >= 0 && offset < text.length && !/\s/.test(text[offset]) && !isInsideSurrogatePair(text, offset);
+}
+
+// Find the paragraph that follows or precedes another one in the document,
+// by way of the next text outside it
+function getAdjacentCursorParagraph(paragraph, forward) {
+    const bodyIndex = getTextIndex(document.body);
+    const paragraphIndex = getTextIndex(paragraph);
+    if (paragraphIndex.segments.length === 0) {
+        return null;
+    }
+
+    const edgeSegment = forward ?
+                        paragraphIndex.segments[paragraphIndex.segments.length - 1] :
+                        paragraphIndex.segments[0];
+    const bodySegment = bodyIndex.segmentByNode.get(edgeSegment.node);
+    if (!bodySegment) {
+        return null;
+    }
+
+    let position = bodyIndex.segments.indexOf(bodySegment);
+    while (true) {
+        position += forward ? 1 : -1;
+        const segment = bodyIndex.segments[position];
+        if (!segment) {
+            return null;
+        }
+        if (!paragraph.contains(segment.node) && getCleanNodeText(segment.node).trim().length > 0) {
+            return findParagraphContainer(segment.node.parentNode);
+        }
+    }
+}
+
+// Find the next or previous stop from a position, moving into neighbouring paragraphs
+function findCursorStop(paragraph, offset, forward) {
+    let currentParagraph = paragraph;
+    let position = offset;
+
+    while (currentParagraph) {
+        const text = getTextIndex(currentParagraph).text;
+        position += forward ? 1 : -1;
+        while (position >= 0 && position < text.length && !isCursorStop(text, position)) {
+            position += forward ? 1 : -1;
+        }
+        if (position >= 0 && position < text.length) {
+            return { paragraph: currentParagraph, offset: position };
+        }
+
+        currentParagraph = getAdjacentCursorParagraph(currentParagraph, forward);
+        if (currentParagraph) {
+            position = forward ? -1 : getTextIndex(currentParagraph).text.length;
+        }
+    }
+
+    return null;
+}
+
+// Find the start of the next or previous sentence from a position
+function findSentenceCursorStop(paragraph, offset, forward) {
+    const text = getTextIndex(paragraph).text;
+    const sentenceStarts = [0, ...findSentenceEnds(text)].filter(start => start < text.length);
+
+    const target = forward ?
+                   sentenceStarts.find(start => start > offset) :
+                   [...sentenceStarts].reverse().find(start => start < offset);
+
+    if (target !== undefined) {
+        // Land on the first visible character of that sentence
+        return isCursorStop(text, target) ? { paragraph: paragraph, offset: target } : findCursorStop(paragraph, target, true);
+    }
+
+    // Carry on into the neighbouring paragraph
+    const adjacent = getAdjacentCursorParagraph(paragraph, forward);
+    if (!adjacent) {
+        return null;
+    }
+    if (forward) {
+        return findCursorStop(adjacent, -1, true);
+    }
+    const adjacentText = getTextIndex(adjacent).text;
+    const adjacentStarts = [0, ...findSentenceEnds(adjacentText)].filter(start => start < adjacentText.length);
+    const lastStart = adjacentStarts[adjacentStarts.length - 1] || 0;
+    return isCursorStop(adjacentText, lastStart) ? { paragraph: adjacent, offset: lastStart } : findCursorStop(adjacent, lastStart, true);
+}
+
+// Place the caret on the first character visible in the viewport
+function getInitialCursorPosition() {
+    if (lastLookupContext && lastLookupContext.paragraph.isConnected) {
+        return {
+            paragraph: lastLookupContext.paragraph,
+            offset: lastLookupContext.baseOffset + lastLookupContext.offset
+        };
+    }
+
+    for (const segment of getTextIndex(document.body).segments) {
+        if (getCleanNodeText(segment.node).trim().length === 0) {
+            continue;
+        }
+        const range = document.createRange();
+        range.selectNode(segment.node);
+        const rect = range.getBoundingClientRect();
+        if (rect.bottom > 0 && rect.right > 0 && rect.top < window.innerHeight && rect.left < window.innerWidth) {
+            const paragraph = findParagraphContainer(segment.node.parentNode);
+            const offset = getTextIndexOffset(getTextIndex(paragraph), segment.node, 0);
+            const text = getTextIndex(paragraph).text;
+            return isCursorStop(text, offset) ? { paragraph: paragraph, offset: offset } : findCursorStop(paragraph, offset, true);
+        }
+    }
+
+    return null;
+}
+
+// Draw the caret over its character and keep it on screen
+function drawKeyboardCursor() {
+    if (!keyboardCursor || !supportsCustomHighlights()) {
+        return;
+    }
+
+    const { paragraph, offset } = keyboardCursor;
+    const ranges = createRangesForCleanSpan(paragraph, offset, getCharacterAt(getTextIndex(paragraph).text, offset).length || 1);
+    if (ranges.length === 0) {
+        return;
+    }
+
+    setHighlightStyle(keyboardCursorHighlightName,
+        `background-color: ${getThemeHighlightColor(paragraph, 0.35)}; text-decoration: underline 2px ${getThemeHighlightColor(paragraph, 0.9)};`);
+    CSS.highlights.set(keyboardCursorHighlightName, new Highlight(...ranges));
+
+    const rect = ranges[0].getBoundingClientRect();
+    if (rect.top < 0 || rect.bottom > window.innerHeight || rect.left < 0 || rect.right > window.innerWidth) {
+        const element = ranges[0].startContainer.parentElement;
+        if (element) {
+            element.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        }
+    }
+}
+
+// Remove the caret
+function clearKeyboardCursor() {
+    keyboardCursor = null;
+    if (supportsCustomHighlights()) {
+        CSS.highlights.delete(keyboardCursorHighlightName);
+    }
+}
+
+// Work out whether an arrow key moves forward or backward through the text;
+// in vertical-rl text the lines advance to the left
+function getCursorArrowDirection(key, paragraph) {
+    const vertical = isVerticalWritingMode(paragraph);
+    const rightToLeftLines = vertical && !(window.getComputedStyle(paragraph).writingMode || '').endsWith('lr');
+    switch (key) {
+        case 'ArrowDown': return 1;
+        case 'ArrowUp': return -1;
+        case 'ArrowRight': return rightToLeftLines ? -1 : 1;
+        case 'ArrowLeft': return rightToLeftLines ? 1 : -1;
+        default: return 0;
+    }
+}
+
+// Ignore keys typed into form fields or editable content
+function isEditableTarget(target) {
+    return target && target.nodeType === Node.ELEMENT_NODE &&
+           (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+}
+
+// Handle arrows, Enter and Escape while keyboard mode is on
+function handleKeyboardCursorKeyDown(event) {
+    if (!keyboardCursorSettings.enabled || isEditableTarget(event.target)) {
+        return;
+    }
+
+    if (event.key === 'Escape') {
+        dismissDictionary();
+        event.preventDefault();
+        return;
+    }
+
+    if (event.key === 'Enter') {
+        if (!keyboardCursor || !keyboardCursor.paragraph.isConnected) {
+            return;
+        }
+        const { paragraph, offset } = keyboardCursor;
+        lookUpCleanOffset(paragraph, offset, getLookupTextAtOffset(paragraph, offset));
+        event.preventDefault();
+        return;
+    }
+
+    const current = keyboardCursor && keyboardCursor.paragraph.isConnected ?
+                    keyboardCursor :
+                    getInitialCursorPosition();
+    if (!current) {
+        return;
+    }
+
+    const direction = getCursorArrowDirection(event.key, current.paragraph);
+    if (direction === 0) {
+        return;
+    }
+    event.preventDefault();
+
+    if (!keyboardCursor || !keyboardCursor.paragraph.isConnected) {
+        // The first arrow press only shows the caret
+        keyboardCursor = current;
+    } else {
+        const bySentence = event.altKey || event.metaKey || event.ctrlKey;
+        const next = bySentence ?
+                     findSentenceCursorStop(current.paragraph, current.offset, direction > 0) :
+                     findCursorStop(current.paragraph, current.offset, direction > 0);
+        if (next) {
+            keyboardCursor = next;
+        }
+    }
+
+    drawKeyboardCursor();
+}
+
+// Turn keyboard mode on or off
+shiori.setKeyboardCursor = function(enabled) {
+    keyboardCursorSettings.enabled = !!enabled;
+    if (keyboardCursorSettings.enabled) {
+        keyboardCursor = getInitialCursorPosition();
+        drawKeyboardCursor();
+    } else {
+        clearKeyboardCursor();
+    }
+    return true;
+};
+
+// GENERATED FURIGANA
+// Ruby built from readings Swift computes for books that ship without any.
+// Generated ruby only wraps existing text and is marked, so its readings stay
+// out of clean text and raw text, taps on it behave like taps on plain text,
+// and it can be unwrapped again without touching publisher ruby.
+
+// Attribute marking generated ruby elements
+const generatedRubyAttribute = 'data-shiori-generated';
+
+// Check whether a ruby element was generated rather than published
+function isGeneratedRuby(element) {
+    return !!element && element.tagName === 'RUBY' && element.hasAttribute(generatedRubyAttribute);
+}
+
+// Check whether a node is part of a generated reading
+function isInsideGeneratedReading(node) {
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    const rt = element ? element.closest('rt') : null;
+    return !!rt && isGeneratedRuby(rt.parentElement);
+}
+
+// Text of an element as published: publisher furigana and gaiji included,
+// generated readings left out
+function getRawText(element) {
+    if (!element.querySelector(`ruby[${generatedRubyAttribute}], img`)) {
+        return element.textContent;
+    }
+    let text = '';
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+    let node = walker.nextNode();
+    while (node) {
+        if (node.nodeType === Node.TEXT_NODE ? !isInsideGeneratedReading(node) : isGaijiImage(node)) {
+            text += getCleanNodeText(node);
+        }
+        node = walker.nextNode();
+    }
+    return text;
+}
+
+// Text of a DOM range as published, without generated readings
+function getRawRangeText(range) {
+    const fragment = range.cloneContents();
+    fragment.querySelectorAll(`ruby[${generatedRubyAttribute}] > rt`).forEach(rt => rt.remove());
+    fragment.querySelectorAll('img').forEach(image => {
+        if (isGaijiImage(image)) {
+            image.replaceWith(getGaijiText(image));
+        }
+    });
+    return fragment.textContent;
+}
+
+// Text blocks that Swift addresses by index, in document order
+function getPageTextBlocks() {
+    return document.body ? getCleanTextBlocks(document.body).filter(block => block.element !== document.body) : [];
+}
+
+// Wrap one clean-text span of a block in generated ruby, if it sits in a
+// single text node outside any ruby
+function wrapGeneratedRuby(blockElement, start, end, reading) {
+    const index = getTextIndex(blockElement);
+    if (start < 0 || end > index.text.length || start >= end) {
+        return false;
+    }
+
+    const startPosition = getTextIndexPosition(index, start, false);
+    const endPosition = getTextIndexPosition(index, end, true);
+    if (!startPosition || !endPosition || startPosition.node !== endPosition.node ||
+        startPosition.node.nodeType !== Node.TEXT_NODE || startPosition.node.parentElement.closest('ruby')) {
+        return false;
+    }
+
+    const range = document.createRange();
+    range.setStart(startPosition.node, startPosition.offset);
+    range.setEnd(endPosition.node, endPosition.offset);
+
+    const ruby = document.createElement('ruby');
+    ruby.setAttribute(generatedRubyAttribute, '');
+    range.surroundContents(ruby);
+    const rt = document.createElement('rt');
+    rt.textContent = reading;
+    ruby.appendChild(rt);
+    return true;
+}
+
+// List the blocks furigana can be generated for, with the clean text the
+// annotation offsets refer to
+shiori.getFuriganaParagraphs = function() {
+    return getPageTextBlocks().map((block, index) => ({ index: index, text: block.text }));
+};
+
+// Add generated furigana to a block from annotations of
+// { start, end (or length), reading } in that block's clean-text offsets.
+// Returns how many were applied; spans crossing nodes or ruby are skipped.
+shiori.applyGeneratedFurigana = function(paragraphIndex, annotations) {
+    const block = getPageTextBlocks()[paragraphIndex];
+    if (!block || !Array.isArray(annotations)) {
+        return 0;
+    }
+
+    let applied = 0;
+    for (const annotation of annotations) {
+        if (!annotation || typeof annotation.reading !== 'string' || annotation.reading.length === 0) {
+            continue;
+        }
+        const start = fromCharacterOffset(block.text, annotation.start);
+        const end = fromCharacterOffset(block.text, annotation.end !== undefined ? annotation.end : annotation.start + annotation.length);
+        if (!Number.isInteger(start) || !Number.isInteger(end)) {
+            continue;
+        }
+        // Wrapping never changes the clean text, so the offsets stay valid throughout
+        if (wrapGeneratedRuby(block.element, start, end, annotation.reading)) {
+            applied++;
+        }
+    }
+
+    markKnownFurigana();
+    if (applied > 0) {
+        redrawHighlightsOnMovedText();
+    }
+    return applied;
+};
+
+// Unwrap generated furigana from one block, or from the whole page when no index is given
+shiori.removeGeneratedFurigana = function(paragraphIndex) {
+    let root = document;
+    if (paragraphIndex !== undefined && paragraphIndex !== null) {
+        const block = getPageTextBlocks()[paragraphIndex];
+        if (!block) {
+            return 0;
+        }
+        root = block.element;
+    }
+
+    const rubies = [...root.querySelectorAll(`ruby[${generatedRubyAttribute}]`)];
+    for (const ruby of rubies) {
+        const parent = ruby.parentNode;
+        ruby.querySelectorAll(':scope > rt').forEach(rt => rt.remove());
+        while (ruby.firstChild) {
+            parent.insertBefore(ruby.firstChild, ruby);
+        }
+        ruby.remove();
+        parent.normalize();
+    }
+    if (rubies.length > 0) {
+        redrawHighlightsOnMovedText();
+    }
+    return rubies.length;
+};
+
+// Wrapping and unwrapping furigana moves text nodes, which collapses every
+// live range over them, so draw the highlights on those words again
+function redrawHighlightsOnMovedText() {
+    if (!supportsCustomHighlights()) {
+        return;
+    }
+    drawAnnotations();
+    if (lastVocabularyMarks) {
+        shiori.applyVocabularyMarks(lastVocabularyMarks.vocabulary, lastVocabularyMarks.colors);
+    }
+    if (CSS.highlights.has(matchHighlightName)) {
+        drawMatchHighlight();
+    }
+}
+
+// READ-ALONG
+// Highlights what text-to-speech is reading. Swift speaks the clean text of a
+// paragraph or sentence. Offsets exchanged with Swift count characters like
+// every other offset it sees, so the NSRange AVSpeechSynthesizer reports is
+// converted with Range(_:in:) and measured in Characters before it is sent.
+
+// Settings for read-along, updated from Swift
+const readAlongSettings = {
+    autoScroll: true
+};
+
+const speechSentenceHighlightName = 'shiori-speech-sentence';
+const speechWordHighlightName = 'shiori-speech-word';
+
+// Split a block's clean text into its sentences, skipping blank ones
+function getBlockSentences(text) {
+    const sentences = [];
+    let start = 0;
+    for (const end of [...findSentenceEnds(text), text.length]) {
+        if (end > start && text.substring(start, end).trim().length > 0) {
+            sentences.push({ start: start, end: end });
+        }
+        start = Math.max(start, end);
+    }
+    return sentences;
+}
+
+// Resolve a sentence ID of the form "<paragraphIndex>-<sentenceIndex>"
+function findSpeechSentence(sentenceId) {
+    const match = /^(\d+)-(\d+)$/.exec(String(sentenceId));
+    if (!match) {
+        return null;
+    }
+    const block = getPageTextBlocks()[Number(match[1])];
+    const sentence = block ? getBlockSentences(block.text)[Number(match[2])] : null;
+    return sentence ? { block: block, start: sentence.start, end: sentence.end } : null;
+}
+
+// Find the sentence of a block that contains an offset
+function findSentenceAround(block, offset) {
+    const sentences = getBlockSentences(block.text);
+    return sentences.find(sentence => offset >= sentence.start && offset < sentence.end) || null;
+}
+
+// Check whether a rectangle is entirely inside the viewport
+function isRectInViewport(rect) {
+    return rect.top >= 0 && rect.left >= 0 && rect.bottom <= window.innerHeight && rect.right <= window.innerWidth;
+}
+
+// Check whether Readium is showing the chapter as pages rather than a scroll
+function isPaginatedLayout() {
+    return (window.getComputedStyle(document.documentElement).columnWidth || 'auto') !== 'auto';
+}
+
+// Bring a rectangle into view, turning pages when the book is paginated
+function bringRectIntoView(rect, element) {
+    if (isRectInViewport(rect)) {
+        return;
+    }
+
+    const scroller = document.scrollingElement || document.documentElement;
+    if (isPaginatedLayout()) {
+        // Readium lays pages out as columns one viewport wide; move by whole pages
+        scroller.scrollLeft += Math.floor(rect.left / window.innerWidth) * window.innerWidth;
+        scroller.scrollTop += Math.floor(rect.top / window.innerHeight) * window.innerHeight;
+    } else if (element) {
+        element.scrollIntoView({ block: 'center', inline: 'center' });
+    }
+}
+
+// Draw one of the speech highlights over a clean-text span of a block
+function setSpeechHighlight(highlightName, block, start, end, alpha) {
+    const range = createDomRangeForCleanSpan(getTextIndex(block.element), start, end);
+    if (!range) {
+        return null;
+    }
+    setHighlightStyle(highlightName, `background-color: ${getThemeHighlightColor(block.element, alpha)};`);
+    CSS.highlights.set(highlightName, new Highlight(range));
+    return range;
+}
+
+// Remove the speech highlights
+function clearSpeechHighlight() {
+    if (supportsCustomHighlights()) {
+        CSS.highlights.delete(speechSentenceHighlightName);
+        CSS.highlights.delete(speechWordHighlightName);
+    }
+}
+
+// List the page's sentences for Swift to speak, with their IDs and offsets
+shiori.getReadAlongSentences = function() {
+    const sentences = [];
+    getPageTextBlocks().forEach((block, paragraphIndex) => {
+        getBlockSentences(block.text).forEach((sentence, sentenceIndex) => {
+            sentences.push({
+                id: `${paragraphIndex}-${sentenceIndex}`,
+                paragraphIndex: paragraphIndex,
+                start: toCharacterOffset(block.text, sentence.start),
+                end: toCharacterOffset(block.text, sentence.end),
+                text: block.text.substring(sentence.start, sentence.end)
+            });
+        });
+    });
+    return sentences;
+};
+
+// Highlight what is being spoken and keep it in view. Pass either
+// { sentenceId } with start and length relative to that sentence, or
+// { paragraphIndex } with start and length in the paragraph's clean text,
+// both counted in characters. Without a length the whole sentence is
+// highlighted.
+shiori.highlightSpeech = function(options = {}) {
+    clearSpeechHighlight();
+    if (!supportsCustomHighlights()) {
+        return false;
+    }
+
+    let block;
+    let sentence;
+    let wordStart = null;
+    let wordEnd = null;
+    if (options.sentenceId !== undefined) {
+        sentence = findSpeechSentence(options.sentenceId);
+        if (!sentence) {
+            return false;
+        }
+        block = sentence.block;
+        if (options.length > 0) {
+            const characterStart = toCharacterOffset(block.text, sentence.start) + (options.start || 0);
+            wordStart = fromCharacterOffset(block.text, characterStart);
+            wordEnd = fromCharacterOffset(block.text, characterStart + options.length);
+        }
+    } else {
+        block = getPageTextBlocks()[options.paragraphIndex];
+        if (!block || !(options.start >= 0)) {
+            return false;
+        }
+        const start = fromCharacterOffset(block.text, options.start);
+        sentence = findSentenceAround(block, start);
+        if (options.length > 0) {
+            wordStart = start;
+            wordEnd = fromCharacterOffset(block.text, options.start + options.length);
+        }
+    }
+
+    let focusRange = null;
+    if (sentence) {
+        focusRange = setSpeechHighlight(speechSentenceHighlightName, block, sentence.start, sentence.end, 0.12);
+    }
+    if (wordStart !== null) {
+        focusRange = setSpeechHighlight(speechWordHighlightName, block, wordStart, wordEnd, 0.3) || focusRange;
+    }
+
+    if (focusRange && readAlongSettings.autoScroll) {
+        bringRectIntoView(focusRange.getBoundingClientRect(), block.element);
+    }
+    return !!focusRange;
+};
+
+// Remove the read-along highlights, e.g. when speech stops
+shiori.clearSpeechHighlight = function() {
+    clearSpeechHighlight();
+    return true;
+};
+
+// Change read-along settings
+shiori.setReadAlong = function(options = {}) {
+    Object.assign(readAlongSettings, options);
+    return true;
+};
+
+// READING POSITION
+// The first fully visible character, as a paragraph and a clean-text offset.
+// Clean offsets ignore furigana, so a position survives ruby being shown or
+// hidden as well as font, orientation and layout changes.
+
+// Settings for position reports, updated from Swift
+const readingPositionSettings = {
+    reportOnScroll: false,
+    reportDelay: 300
+};
+
+// Timer for the report sent once scrolling settles
+let readingPositionTimer = null;
+
+// How much text is kept around a position to find it again
+const readingPositionContextLength = 16;
+
+// The chapter the page shows, without any fragment
+function getChapterHref() {
+    return location.href.split('#')[0];
+}
+
+// Find the first non-blank character of a block that is fully on screen
+function findFirstVisibleOffset(block) {
+    for (const segment of block.segments) {
+        const text = getCleanNodeText(segment.node);
+        for (let i = 0; i < text.length; i += getCharacterAt(text, i).length) {
+            if (/\s/.test(text[i])) {
+                continue;
+            }
+            const rect = createCleanCharacterRange(segment.node, i).getBoundingClientRect();
+            if ((rect.width > 0 || rect.height > 0) && isRectInViewport(rect)) {
+                return segment.start + i;
+            }
+        }
+    }
+    return -1;
+}
+
+// Describe the first fully visible character of the page
+function getReadingPosition() {
+    const blocks = getPageTextBlocks();
+    for (let paragraphIndex = 0; paragraphIndex < blocks.length; paragraphIndex++) {
+        const block = blocks[paragraphIndex];
+        const rect = block.element.getBoundingClientRect();
+        if (rect.bottom < 0 || rect.right < 0 || rect.top > window.innerHeight || rect.left > window.innerWidth) {
+            continue;
+        }
+        const offset = findFirstVisibleOffset(block);
+        if (offset >= 0) {
+            return {
+                paragraphIndex: paragraphIndex,
+                offset: toCharacterOffset(block.text, offset),
+                paragraphPrefix: block.text.substring(0, readingPositionContextLength),
+                textAfter: block.text.substring(offset, offset + readingPositionContextLength),
+                href: getChapterHref()
+            };
+        }
+    }
+    return null;
+}
+
+// Find the block a saved position belongs to, preferring its old index
+function findReadingPositionBlock(blocks, position) {
+    const expected = blocks[position.paragraphIndex];
+    if (expected && expected.text.startsWith(position.paragraphPrefix || '')) {
+        return expected;
+    }
+    let best = null;
+    blocks.forEach((block, index) => {
+        if (position.paragraphPrefix && block.text.startsWith(position.paragraphPrefix) &&
+            (!best || Math.abs(index - position.paragraphIndex) < Math.abs(best.index - position.paragraphIndex))) {
+            best = { block: block, index: index };
+        }
+    });
+    return best ? best.block : expected || null;
+}
+
+// Find a saved offset again, following its text if the paragraph changed
+function findReadingPositionOffset(text, position) {
+    const textAfter = position.textAfter || '';
+    if (!textAfter || text.startsWith(textAfter, position.offset)) {
+        return Math.min(Math.max(0, position.offset), Math.max(0, text.length - 1));
+    }
+    let best = -1;
+    for (let found = text.indexOf(textAfter); found !== -1; found = text.indexOf(textAfter, found + 1)) {
+        if (best === -1 || Math.abs(found - position.offset) < Math.abs(best - position.offset)) {
+            best = found;
+        }
+    }
+    return best !== -1 ? best : Math.min(Math.max(0, position.offset), Math.max(0, text.length - 1));
+}
+
+// Scroll so a rectangle sits at the start of the viewport in reading order
+function alignRectToReadingStart(rect, element) {
+    const scroller = document.scrollingElement || document.documentElement;
+    if (isVerticalWritingMode(element)) {
+        // Vertical lines start at the right edge
+        scroller.scrollLeft += rect.right - window.innerWidth;
+    } else {
+        scroller.scrollTop += rect.top;
+    }
+}
+
+// Send the current position to Swift
+function reportReadingPosition() {
+    readingPositionTimer = null;
+    const position = getReadingPosition();
+    if (position) {
+        postShioriMessage('readingPosition', position);
+    }
+}
+
+// Report the position once scrolling or page turns settle
+function handleReadingPositionScroll() {
+    if (!readingPositionSettings.reportOnScroll) {
+        return;
+    }
+    if (readingPositionTimer) {
+        clearPageTimeout(readingPositionTimer);
+    }
+    readingPositionTimer = setPageTimeout(reportReadingPosition, readingPositionSettings.reportDelay);
+}
+
+// Get the first fully visible character, or null when no text is on screen
+shiori.getReadingPosition = function() {
+    return getReadingPosition();
+};
+
+// Scroll or turn pages so a position from getReadingPosition is the first
+// character shown again; a position from another chapter is ignored
+shiori.restoreReadingPosition = function(position) {
+    if (!position || !Number.isInteger(position.paragraphIndex) || !Number.isInteger(position.offset)) {
+        return false;
+    }
+    if (position.href && position.href !== getChapterHref()) {
+        return false;
+    }
+
+    const block = findReadingPositionBlock(getPageTextBlocks(), position);
+    if (!block || block.text.length === 0) {
+        return false;
+    }
+
+    const offset = findReadingPositionOffset(block.text, { ...position, offset: fromCharacterOffset(block.text, position.offset) });
+    const range = createDomRangeForCleanSpan(getTextIndex(block.element), offset, offset + 1);
+    if (!range) {
+        return false;
+    }
+
+    const rect = range.getBoundingClientRect();
+    if (isPaginatedLayout()) {
+        bringRectIntoView(rect, block.element);
+    } else {
+        alignRectToReadingStart(rect, block.element);
+    }
+    return true;
+};
+
+// Turn automatic position reports on or off
+shiori.setReadingPositionReporting = function(enabled, options = {}) {
+    Object.assign(readingPositionSettings, options, { reportOnScroll: !!enabled });
+    if (!readingPositionSettings.reportOnScroll && readingPositionTimer) {
+        clearPageTimeout(readingPositionTimer);
+        readingPositionTimer = null;
+    }
+    return true;
+};
+
+// READING STATISTICS
+// Counts the Japanese characters that come into view as pages turn or the
+// chapter scrolls, for characters-read and reading-speed figures in Swift.
+// Furigana is never counted, and each character of the chapter only once.
+
+// Settings for statistics reports, updated from Swift
+const readingStatisticsSettings = {
+    enabled: false,
+    reportDelay: 500
+};
+
+// Clean-text offsets already counted, by chapter. Kept on the window so they
+// outlive this instance if the script is replaced or destroyed.
+const countedCharactersByHref = window.shioriCountedCharacters || (window.shioriCountedCharacters = new Map());
+
+// Characters counted since statistics were turned on
+let charactersReadTotal = 0;
+
+// Timer for the count taken once scrolling settles
+let readingStatisticsTimer = null;
+
+// The offsets already counted in this chapter
+function getCountedCharacters() {
+    const href = getChapterHref();
+    if (!countedCharactersByHref.has(href)) {
+        countedCharactersByHref.set(href, new Set());
+    }
+    return countedCharactersByHref.get(href);
+}
+
+// Collect the chapter offsets of the Japanese characters fully on screen
+function getVisibleJapaneseOffsets() {
+    const bodyIndex = getTextIndex(document.body);
+    const offsets = [];
+    for (const block of getPageTextBlocks()) {
+        const blockRect = block.element.getBoundingClientRect();
+        if (blockRect.bottom < 0 || blockRect.right < 0 || blockRect.top > window.innerHeight || blockRect.left > window.innerWidth) {
+            continue;
+        }
+        for (const segment of block.segments) {
+            const text = getCleanNodeText(segment.node);
+            const nodeStart = getTextIndexOffset(bodyIndex, segment.node, 0);
+            for (let i = 0; i < text.length; i += getCharacterAt(text, i).length) {
+                if (!isJapaneseCharacter(getCharacterAt(text, i))) {
+                    continue;
+                }
+                const rect = createCleanCharacterRange(segment.node, i).getBoundingClientRect();
+                if ((rect.width > 0 || rect.height > 0) && isRectInViewport(rect)) {
+                    offsets.push(nodeStart + i);
+                }
+            }
+        }
+    }
+    return offsets;
+}
+
+// Count the visible characters not counted before and report them to Swift
+function countVisibleCharacters() {
+    readingStatisticsTimer = null;
+    if (!readingStatisticsSettings.enabled || !document.body) {
+        return 0;
+    }
+
+    const countedCharacters = getCountedCharacters();
+    let count = 0;
+    for (const offset of getVisibleJapaneseOffsets()) {
+        if (!countedCharacters.has(offset)) {
+            countedCharacters.add(offset);
+            count++;
+        }
+    }
+    if (count === 0) {
+        return 0;
+    }
+
+    charactersReadTotal += count;
+    postShioriMessage('charactersRead', {
+        count: count,
+        totalCount: charactersReadTotal,
+        timestamp: Date.now(),
+        href: getChapterHref(),
+        counted: getCountedCharacterRanges()
+    });
+    return count;
+}
+
+// Count once scrolling or page turns settle
+function handleReadingStatisticsScroll() {
+    if (!readingStatisticsSettings.enabled) {
+        return;
+    }
+    if (readingStatisticsTimer) {
+        clearPageTimeout(readingStatisticsTimer);
+    }
+    readingStatisticsTimer = setPageTimeout(countVisibleCharacters, readingStatisticsSettings.reportDelay);
+}
+
+// Compress counted offsets into sorted [start, end) ranges
+function getCountedCharacterRanges() {
+    const text = getTextIndex(document.body).text;
+    const offsets = [...getCountedCharacters()].sort((a, b) => a - b);
+    const ranges = [];
+    for (const offset of offsets) {
+        const end = offset + (getCharacterAt(text, offset).length || 1);
+        const last = ranges[ranges.length - 1];
+        if (last && last[1] === offset) {
+            last[1] = end;
+        } else {
+            ranges.push([offset, end]);
+        }
+    }
+    return ranges.map(([start, end]) => [toCharacterOffset(text, start), toCharacterOffset(text, end)]);
+}
+
+// Turn character counting on or off. Pass counted (the ranges of an earlier
+// charactersRead message) to skip characters read on an earlier visit.
+shiori.setReadingStatistics = function(enabled, options = {}) {
+    const { counted, ...settings } = options;
+    Object.assign(readingStatisticsSettings, settings, { enabled: !!enabled });
+
+    if (Array.isArray(counted) && document.body) {
+        const countedCharacters = getCountedCharacters();
+        const text = getTextIndex(document.body).text;
+        for (const [start, end] of counted) {
+            const rangeEnd = fromCharacterOffset(text, end);
+            for (let offset = fromCharacterOffset(text, start); offset < rangeEnd; offset += getCharacterAt(text, offset).length || 1) {
+                countedCharacters.add(offset);
+            }
+        }
+    }
+
+    if (readingStatisticsTimer) {
+        clearPageTimeout(readingStatisticsTimer);
+        readingStatisticsTimer = null;
+    }
+    if (readingStatisticsSettings.enabled) {
+        // Count the page already on screen
+        readingStatisticsTimer = setPageTimeout(countVisibleCharacters, 0);
+    }
+    return true;
+};
+
+// Get the characters counted so far and the chapter ranges they came from
+shiori.getReadingStatistics = function() {
+    return {
+        totalCount: charactersReadTotal,
+        countedCharacters: getCountedCharacters().size,
+        counted: getCountedCharacterRanges(),
+        href: getChapterHref()
+    };
+};
+
+// Forget what has been counted, e.g. when a new session starts
+shiori.resetReadingStatistics = function() {
+    countedCharactersByHref.delete(getChapterHref());
+    charactersReadTotal = 0;
+    return true;
+};
+
+// ANNOTATIONS
+// User highlights and notes, stored as W3C Web Annotation selectors over the
+// clean text of the whole chapter: a TextQuoteSelector (exact text with prefix
+// and suffix) and a TextPositionSelector (clean-text offsets in code points,
+// as the W3C model counts them, not the characters used elsewhere with Swift,
+// which keeps annotations as opaque JSON). Offsets ignore furigana, so
+// highlights can span ruby and survive it being shown or hidden.
+// On load each annotation is re-anchored at its position, else at the best
+// match of its quote, else at the closest fuzzy match near its old position.
+
+// Annotations on the page by ID, with where they are currently anchored
+let annotations = new Map();
+
+// CSS highlight name for each colour in use
+let annotationHighlightNames = new Map();
+
+// Characters of context kept on each side of a quote
+const annotationContextLength = 32;
+
+// How far from the old position a fuzzy match is searched for
+const annotationFuzzyWindow = 2000;
+
+// Create a reasonably unique annotation ID
+function createAnnotationId() {
+    return `urn:shiori:annotation:${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Clean-text span of the chapter covered by a DOM range
+function getCleanSpanForRange(range) {
+    const index = getTextIndex(document.body);
+    const start = getTextIndexOffset(index, range.startContainer, range.startOffset);
+    const end = getTextIndexOffset(index, range.endContainer, range.endOffset);
+    return end > start ? { start: start, end: end } : null;
+}
+
+// The DOM range of the current selection, ours first, then the WebView's own
+function getSelectedDomRange() {
+    if (rangeSelection && rangeSelection.paragraph.isConnected) {
+        const { start, end } = getRangeSelectionBounds(rangeSelection);
+        return createDomRangeForCleanSpan(getTextIndex(rangeSelection.paragraph), start, end);
+    }
+    const selection = window.getSelection();
+    if (selection && selection.rangeCount > 0 && !selection.isCollapsed) {
+        return selection.getRangeAt(0);
+    }
+    return null;
+}
+
+// Build the W3C selectors for a clean-text span
+function buildAnnotationSelectors(text, start, end) {
+    return [
+        {
+            type: 'TextQuoteSelector',
+            exact: text.substring(start, end),
+            prefix: text.substring(Math.max(0, start - annotationContextLength), start),
+            suffix: text.substring(end, end + annotationContextLength)
+        },
+        {
+            type: 'TextPositionSelector',
+            start: toCodePointOffset(text, start),
+            end: toCodePointOffset(text, end)
+        }
+    ];
+}
+
+// Pick a selector of a given type out of an annotation's target
+function getAnnotationSelector(annotation, type) {
+    const selectors = annotation && annotation.target ? [].concat(annotation.target.selector || []) : [];
+    return selectors.find(selector => selector && selector.type === type) || null;
+}
+
+// Count how many characters two strings share from their ends inward
+function countCommonSuffix(a, b) {
+    let count = 0;
+    while (count < a.length && count < b.length && a[a.length - 1 - count] === b[b.length - 1 - count]) {
+        count++;
+    }
+    return count;
+}
+
+// Count how many characters two strings share from their starts
+function countCommonPrefix(a, b) {
+    let count = 0;
+    while (count < a.length && count < b.length && a[count] === b[count]) {
+        count++;
+    }
+    return count;
+}
+
+// Find the occurrence of a quote whose context and position fit best
+function findBestQuoteMatch(text, quote, expectedStart) {
+    let best = null;
+    for (let found = text.indexOf(quote.exact); found !== -1; found = text.indexOf(quote.exact, found + 1)) {
+        const end = found + quote.exact.length;
+        const context = countCommonSuffix(text.substring(Math.max(0, found - annotationContextLength), found), quote.prefix || '') +
+                        countCommonPrefix(text.substring(end, end + annotationContextLength), quote.suffix || '');
+        // Context counts most; distance only breaks ties
+        const score = context * 10000 - Math.min(Math.abs(found - expectedStart), 9999);
+        if (!best || score > best.score) {
+            best = { start: found, end: end, score: score };
+        }
+    }
+    return best;
+}
+
+// Find the substring near an expected position with the fewest edits from
+// the quote (Sellers' approximate matching), if it is close enough
+function findFuzzyQuoteMatch(text, exact, expectedStart) {
+    const maxErrors = Math.max(1, Math.floor(exact.length * 0.25));
+    const windowStart = Math.max(0, expectedStart - annotationFuzzyWindow);
+    const windowEnd = Math.min(text.length, expectedStart + exact.length + annotationFuzzyWindow);
+
+    // cost[i] and origin[i]: edits to match exact[0..i) ending here, and where that match started
+    let cost = Array.from({ length: exact.length + 1 }, (_, i) => i);
+    let origin = new Array(exact.length + 1).fill(windowStart);
+    let best = null;
+
+    for (let j = windowStart; j < windowEnd; j++) {
+        const nextCost = [0];
+        const nextOrigin = [j + 1];
+        for (let i = 1; i <= exact.length; i++) {
+            const substitution = cost[i - 1] + (exact[i - 1] === text[j] ? 0 : 1);
+            const insertion = cost[i] + 1;
+            const deletion = nextCost[i - 1] + 1;
+            if (substitution <= insertion && substitution <= deletion) {
+                nextCost.push(substitution);
+                nextOrigin.push(origin[i - 1]);
+            } else if (insertion <= deletion) {
+                nextCost.push(insertion);
+                nextOrigin.push(origin[i]);
+            } else {
+                nextCost.push(deletion);
+                nextOrigin.push(nextOrigin[i - 1]);
+            }
+        }
+        cost = nextCost;
+        origin = nextOrigin;
+
+        const errors = cost[exact.length];
+        if (errors <= maxErrors) {
+            const start = origin[exact.length];
+            const distance = Math.abs(start - expectedStart);
+            if (!best || errors < best.errors || (errors === best.errors && distance < best.distance)) {
+                best = { start: start, end: j + 1, errors: errors, distance: distance };
+            }
+        }
+    }
+    return best;
+}
+
+// Work out where an annotation belongs in the current chapter text
+function anchorAnnotation(text, annotation) {
+    const quote = getAnnotationSelector(annotation, 'TextQuoteSelector');
+    const selector = getAnnotationSelector(annotation, 'TextPositionSelector');
+    const position = selector ? { start: fromCodePointOffset(text, selector.start), end: fromCodePointOffset(text, selector.end) } : null;
+    const expectedStart = position ? position.start : 0;
+
+    if (position && (!quote || text.substring(position.start, position.end) === quote.exact)) {
+        if (position.end > position.start && position.end <= text.length) {
+            return { start: position.start, end: position.end, method: 'position' };
+        }
+    }
+    if (!quote || !quote.exact) {
+        return null;
+    }
+
+    const exactMatch = findBestQuoteMatch(text, quote, expectedStart);
+    if (exactMatch) {
+        return { start: exactMatch.start, end: exactMatch.end, method: 'quote' };
+    }
+
+    const fuzzyMatch = findFuzzyQuoteMatch(text, quote.exact, expectedStart);
+    if (fuzzyMatch && fuzzyMatch.end > fuzzyMatch.start) {
+        return { start: fuzzyMatch.start, end: fuzzyMatch.end, method: 'fuzzy' };
+    }
+    return null;
+}
+
+// Name of the CSS highlight for an annotation colour
+function getAnnotationHighlightName(color, withNote) {
+    const key = `${color}|${withNote ? 'note' : ''}`;
+    if (!annotationHighlightNames.has(key)) {
+        annotationHighlightNames.set(key, `shiori-annotation-${annotationHighlightNames.size}`);
+    }
+    return annotationHighlightNames.get(key);
+}
+
+// Remove every annotation highlight from the page
+function clearAnnotationHighlights() {
+    if (!supportsCustomHighlights()) {
+        return;
+    }
+    for (const name of annotationHighlightNames.values()) {
+        CSS.highlights.delete(name);
+    }
+}
+
+// Redraw all anchored annotations, one CSS highlight per colour
+function drawAnnotations() {
+    clearAnnotationHighlights();
+    if (!supportsCustomHighlights() || !document.body) {
+        return;
+    }
+
+    const index = getTextIndex(document.body);
+    const rangesByName = new Map();
+    for (const entry of annotations.values()) {
+        if (!entry.anchor) {
+            continue;
+        }
+        const range = createDomRangeForCleanSpan(index, entry.anchor.start, entry.anchor.end);
+        if (!range) {
+            continue;
+        }
+        const hasNote = getAnnotationNote(entry.annotation).length > 0;
+        const name = getAnnotationHighlightName(entry.annotation.color || 'yellow', hasNote);
+        if (!rangesByName.has(name)) {
+            rangesByName.set(name, { color: entry.annotation.color || 'yellow', hasNote: hasNote, ranges: [] });
+        }
+        rangesByName.get(name).ranges.push(range);
+    }
+
+    for (const [name, group] of rangesByName) {
+        setHighlightStyle(name, `background-color: ${group.color};` +
+            (group.hasNote ? ' text-decoration: underline dotted 2px; text-underline-offset: 0.2em;' : ''));
+        CSS.highlights.set(name, new Highlight(...group.ranges));
+    }
+}
+
+// The text of an annotation's note, if it has one
+function getAnnotationNote(annotation) {
+    const bodies = [].concat(annotation.body || []);
+    const note = bodies.find(body => body && body.type === 'TextualBody' && body.purpose === 'commenting');
+    return note ? String(note.value || '') : '';
+}
+
+// Set or clear the note of an annotation
+function setAnnotationNote(annotation, note) {
+    const others = [].concat(annotation.body || []).filter(body => !(body && body.purpose === 'commenting'));
+    annotation.body = note ? [...others, { type: 'TextualBody', value: note, format: 'text/plain', purpose: 'commenting' }] : others;
+    annotation.motivation = note ? 'commenting' : 'highlighting';
+}
+
+// Annotation as it should be stored, with selectors for where it is anchored now
+function serialiseAnnotation(entry) {
+    const annotation = JSON.parse(JSON.stringify(entry.annotation));
+    if (entry.anchor) {
+        annotation.target.selector = buildAnnotationSelectors(getTextIndex(document.body).text, entry.anchor.start, entry.anchor.end);
+    }
+    return annotation;
+}
+
+// Create a highlight from the current selection; options are color and note.
+// Returns the W3C annotation for Swift to store, or null without a selection.
+shiori.createAnnotation = function(options = {}) {
+    const range = getSelectedDomRange();
+    const span = range ? getCleanSpanForRange(range) : null;
+    if (!span) {
+        return null;
+    }
+
+    const text = getTextIndex(document.body).text;
+    const annotation = {
+        '@context': 'http://www.w3.org/ns/anno.jsonld',
+        id: options.id || createAnnotationId(),
+        type: 'Annotation',
+        motivation: 'highlighting',
+        created: new Date().toISOString(),
+        color: options.color || 'rgba(255, 214, 10, 0.4)',
+        body: [],
+        target: {
+            source: location.href.split('#')[0],
+            selector: buildAnnotationSelectors(text, span.start, span.end)
+        }
+    };
+    setAnnotationNote(annotation, options.note);
+
+    annotations.set(annotation.id, { annotation: annotation, anchor: { start: span.start, end: span.end, method: 'position' } });
+    clearRangeSelection();
+    if (window.getSelection()) {
+        window.getSelection().removeAllRanges();
+    }
+    drawAnnotations();
+    return serialiseAnnotation(annotations.get(annotation.id));
+};
+
+// Anchor and draw stored annotations, replacing any already on the page.
+// Returns each one's anchoring result and its selectors refreshed for storage.
+shiori.loadAnnotations = function(list) {
+    annotations = new Map();
+    if (!Array.isArray(list) || !document.body) {
+        drawAnnotations();
+        return [];
+    }
+
+    const text = getTextIndex(document.body).text;
+    const results = [];
+    for (const annotation of list) {
+        if (!annotation || !annotation.id || !annotation.target) {
+            continue;
+        }
+        const anchor = anchorAnnotation(text, annotation);
+        const entry = { annotation: JSON.parse(JSON.stringify(annotation)), anchor: anchor };
+        annotations.set(annotation.id, entry);
+        results.push({
+            id: annotation.id,
+            anchored: !!anchor,
+            method: anchor ? anchor.method : null,
+            annotation: serialiseAnnotation(entry)
+        });
+    }
+
+    drawAnnotations();
+    return results;
+};
+
+// Change the colour or note of an annotation
+shiori.updateAnnotation = function(id, changes = {}) {
+    const entry = annotations.get(id);
+    if (!entry) {
+        return null;
+    }
+    if (changes.color) {
+        entry.annotation.color = changes.color;
+    }
+    if (changes.note !== undefined) {
+        setAnnotationNote(entry.annotation, changes.note);
+    }
+    entry.annotation.modified = new Date().toISOString();
+    drawAnnotations();
+    return serialiseAnnotation(entry);
+};
+
+// Remove an annotation from the page
+shiori.removeAnnotation = function(id) {
+    const removed = annotations.delete(id);
+    drawAnnotations();
+    return removed;
+};
+
+// Get the annotations whose highlight covers a clean-text offset of a
+// paragraph, e.g. the one a lookup came from
+shiori.getAnnotationsAt = function(paragraphIndex, offset) {
+    const block = getPageTextBlocks()[paragraphIndex];
+    const position = block ? getTextIndexPosition(getTextIndex(block.element), fromCharacterOffset(block.text, offset), false) : null;
+    if (!position) {
+        return [];
+    }
+    const bodyOffset = getTextIndexOffset(getTextIndex(document.body), position.node, position.offset);
+    return [...annotations.values()]
+        .filter(entry => entry.anchor && bodyOffset >= entry.anchor.start && bodyOffset < entry.anchor.end)
+        .map(serialiseAnnotation);
+};
+
+// FURIGANA DISPLAY
+// Show, hide or reveal publisher furigana. Readings are only made invisible,
+// never removed, so layout, clean-text offsets and lookups stay the same.
+
+// Display mode: 'show', 'hide', 'reveal' (first tap reveals, second looks up)
+// or 'known' (hidden only on words and kanji Swift marks as known)
+const furiganaSettings = {
+    mode: 'show',
+    known: new Set()
+};
+
+const furiganaModes = ['show', 'hide', 'reveal', 'known'];
+
+// Class marking emphasis-dot ruby, which isn't furigana and is never hidden
+const emphasisRubyClass = 'shiori-emphasis';
+
+// Inject the rules that hide readings for each mode
+function ensureFuriganaStyle() {
+    injectPageStyle('shiori-furigana-style', `
+        html.shiori-furigana-hide ruby:not(.${emphasisRubyClass}) rt,
+        html.shiori-furigana-hide ruby:not(.${emphasisRubyClass}) rp,
+        html.shiori-furigana-hide ruby:not(.${emphasisRubyClass}) rtc,
+        html.shiori-furigana-reveal ruby:not(.shiori-furigana-revealed):not(.${emphasisRubyClass}) rt,
+        html.shiori-furigana-reveal ruby:not(.shiori-furigana-revealed):not(.${emphasisRubyClass}) rp,
+        html.shiori-furigana-reveal ruby:not(.shiori-furigana-revealed):not(.${emphasisRubyClass}) rtc,
+        html.shiori-furigana-known ruby.shiori-furigana-known:not(.shiori-furigana-revealed) rt,
+        html.shiori-furigana-known ruby.shiori-furigana-known:not(.shiori-furigana-revealed) rp,
+        html.shiori-furigana-known ruby.shiori-furigana-known:not(.shiori-furigana-revealed) rtc { visibility: hidden; }
+    `);
+}
+
+// Check whether a word is known, either as a whole or because all its kanji are
+function isKnownFuriganaBase(baseText) {
+    if (!baseText) {
+        return false;
+    }
+    if (furiganaSettings.known.has(baseText)) {
+        return true;
+    }
+    const kanji = baseText.match(/\p{Script=Han}/gu);
+    return !!kanji && kanji.every(character => furiganaSettings.known.has(character));
+}
+
+// Mark emphasis-dot ruby so the hiding rules leave it alone
+function markEmphasisRuby() {
+    document.querySelectorAll('ruby').forEach(ruby => {
+        if (isEmphasisRuby(ruby)) {
+            ruby.classList.add(emphasisRubyClass);
+        }
+    });
+}
+
+// Mark the ruby elements whose readings the 'known' mode hides
+function markKnownFurigana() {
+    document.querySelectorAll('ruby.shiori-furigana-known').forEach(ruby => ruby.classList.remove('shiori-furigana-known'));
+    if (furiganaSettings.mode !== 'known') {
+        return;
+    }
+    document.querySelectorAll('ruby').forEach(ruby => {
+        if (!isEmphasisRuby(ruby) && isKnownFuriganaBase(getFullRubyBaseText(ruby))) {
+            ruby.classList.add('shiori-furigana-known');
+        }
+    });
+}
+
+// Check whether a ruby element's reading is currently hidden until tapped
+function isFuriganaAwaitingReveal(rubyElement) {
+    if (rubyElement.classList.contains('shiori-furigana-revealed') || isEmphasisRuby(rubyElement)) {
+        return false;
+    }
+    return furiganaSettings.mode === 'reveal' ||
+           (furiganaSettings.mode === 'known' && rubyElement.classList.contains('shiori-furigana-known'));
+}
+
+// Reveal the reading of a tapped ruby element, returning whether the tap was used for it
+function revealFuriganaOnTap(target) {
+    const rubyElement = target && target.nodeType === Node.ELEMENT_NODE ? target.closest('ruby') : null;
+    if (!rubyElement || !isFuriganaAwaitingReveal(rubyElement)) {
+        return false;
+    }
+    rubyElement.classList.add('shiori-furigana-revealed');
+    return true;
+}
+
+// Put the page back to showing every reading
+function clearFuriganaMode() {
+    document.documentElement.classList.remove(...furiganaModes.map(mode => `shiori-furigana-${mode}`));
+    document.querySelectorAll(`ruby.shiori-furigana-known, ruby.shiori-furigana-revealed, ruby.${emphasisRubyClass}`).forEach(ruby => {
+        ruby.classList.remove('shiori-furigana-known', 'shiori-furigana-revealed', emphasisRubyClass);
+    });
+}
+
+// Switch the furigana mode; options.known lists the words and single kanji
+// whose readings the 'known' mode hides
+shiori.setFuriganaMode = function(mode, options = {}) {
+    if (!furiganaModes.includes(mode)) {
+        return false;
+    }
+
+    clearFuriganaMode();
+    furiganaSettings.mode = mode;
+    if (Array.isArray(options.known)) {
+        furiganaSettings.known = new Set(options.known.filter(entry => typeof entry === 'string' && entry.length > 0));
+    }
+
+    if (mode !== 'show') {
+        ensureFuriganaStyle();
+        markEmphasisRuby();
+        document.documentElement.classList.add(`shiori-furigana-${mode}`);
+    }
+    markKnownFurigana();
+    return true;
+};
+
+// DEBUG OVERLAY
+// Draws how the last tap was resolved: the tap point, the caret, the paragraph
+// container, the ruby element, and the offset, clean text and payload
+
+// Outline a viewport rectangle on the overlay
+function addDebugBox(overlay, rect, color, label) {
+    if (!rect || (rect.width === 0 && rect.height === 0 && rect.left === 0 && rect.top === 0)) {
+        return;
+    }
+    const box = document.createElement('div');
+    box.className = 'shiori-debug-box';
+    box.style.left = `${rect.left}px`;
+    box.style.top = `${rect.top}px`;
+    box.style.width = `${Math.max(rect.width, 2)}px`;
+    box.style.height = `${Math.max(rect.height, 2)}px`;
+    box.style.borderColor = color;
+    box.dataset.label = label;
+    overlay.appendChild(box);
+}
+
+// Show the clean text around an offset, with the offset marked
+function describeDebugText(paragraph, offset) {
+    const text = getTextIndex(paragraph).text;
+    const start = Math.max(0, offset - 15);
+    return text.substring(start, offset) + '⟦' + text.substring(offset, offset + 1) + '⟧' + text.substring(offset + 1, offset + 16);
+}
+
+// Replace the overlay with one describing a tap
+function drawDebugOverlay(tap) {
+    clearDebugOverlay();
+    injectPageStyle('shiori-debug-overlay-style', `
+        #shiori-debug-overlay { position: fixed; inset: 0; pointer-events: none; z-index: 2147483647; }
+        #shiori-debug-overlay .shiori-debug-box { position: fixed; box-sizing: border-box; border: 2px solid; }
+        #shiori-debug-overlay .shiori-debug-box::after { content: attr(data-label); position: absolute; top: -14px; left: 0;
+            font: 10px monospace; background: rgba(0, 0, 0, 0.7); color: #fff; padding: 0 2px; white-space: nowrap; }
+        #shiori-debug-overlay .shiori-debug-point { position: fixed; width: 10px; height: 10px; margin: -5px 0 0 -5px;
+            border-radius: 50%; background: #ff2d55; }
+        #shiori-debug-overlay .shiori-debug-panel { position: fixed; left: 8px; right: 8px; bottom: 8px; max-height: 40vh;
+            overflow: hidden; font: 11px/1.4 monospace; background: rgba(0, 0, 0, 0.8); color: #fff; padding: 6px;
+            border-radius: 6px; white-space: pre-wrap; word-break: break-all; writing-mode: horizontal-tb; }
+    `);
+
+    // Kept outside body so the overlay's own text never enters the clean text
+    const overlay = document.createElement('div');
+    overlay.id = 'shiori-debug-overlay';
+
+    if (tap.paragraph) {
+        addDebugBox(overlay, tap.paragraph.getBoundingClientRect(), '#34c759', tap.paragraph.tagName.toLowerCase());
+    }
+    if (tap.ruby) {
+        addDebugBox(overlay, tap.ruby.getBoundingClientRect(), '#af52de', 'ruby');
+    }
+    if (tap.caret) {
+        addDebugBox(overlay, tap.caret.getBoundingClientRect(), '#007aff', 'caret');
+    }
+
+    const point = document.createElement('div');
+    point.className = 'shiori-debug-point';
+    point.style.left = `${tap.point.x}px`;
+    point.style.top = `${tap.point.y}px`;
+    overlay.appendChild(point);
+
+    const lines = [`tap: ${Math.round(tap.point.x)}, ${Math.round(tap.point.y)}`];
+    if (tap.caret) {
+        lines.push(`caret: ${tap.caret.startContainer.nodeName} @ ${tap.caret.startOffset}${tap.snapped ? ' (snapped)' : ''}`);
+    }
+    if (tap.absoluteOffset !== undefined && tap.paragraph) {
+        lines.push(`absoluteOffset: ${toCharacterOffset(getTextIndex(tap.paragraph).text, tap.absoluteOffset)}`);
+        lines.push(`clean text: ${describeDebugText(tap.paragraph, tap.absoluteOffset)}`);
+    }
+    lines.push(tap.payload ? `payload: ${JSON.stringify(tap.payload, null, 1)}` : 'payload: (nothing sent)');
+
+    const panel = document.createElement('div');
+    panel.className = 'shiori-debug-panel';
+    panel.textContent = lines.join('\n');
+    overlay.appendChild(panel);
+
+    document.documentElement.appendChild(overlay);
+}
+
+// Remove the overlay
+function clearDebugOverlay() {
+    const overlay = document.getElementById('shiori-debug-overlay');
+    if (overlay) {
+        overlay.remove();
+    }
+}
+
+// Turn debug mode on or off; trace logs and the overlay follow the same switch
+shiori.setDebugMode = function(enabled) {
+    debugSettings.enabled = !!enabled;
+    if (!debugSettings.enabled) {
+        clearDebugOverlay();
+    }
+    return true;
+};
+
+// DIAGNOSTICS
+// Keeps the last few taps with a snapshot of their paragraph, so a wrong
+// lookup can be reported and replayed in jsdom without sharing the EPUB.
+// Each tap records the paragraph's outerHTML (with the neighbouring blocks a
+// sentence can run into), the tapped target and the resolved caret as
+// child-index paths from the paragraph, and the payload that was sent.
+// JavaScriptTests/support/replay.js loads the HTML, answers
+// caretRangeFromPoint with the recorded caret, dispatches a click on the
+// target and returns the new payload to compare.
+
+// How many taps to keep
+const diagnosticsSettings = {
+    maxTaps: 20
+};
+
+// Most recent taps, oldest first
+let recentTaps = [];
+
+// Everything noted while resolving the tap in progress, or null outside a tap
+let tapTrace = null;
+
+// Start collecting details for a tap
+function beginTapTrace(point, target) {
+    tapTrace = { point: point, target: target, time: Date.now() };
+}
+
+// Record details as the tap is resolved
+function noteTapTrace(details) {
+    if (tapTrace) {
+        Object.assign(tapTrace, details);
+    }
+}
+
+// Keep what was collected, draw it in debug mode and stop collecting
+function finishTapTrace() {
+    const tap = tapTrace;
+    tapTrace = null;
+    if (!tap) {
+        return;
+    }
+    recordTapDiagnostics(tap);
+    if (debugSettings.enabled) {
+        drawDebugOverlay(tap);
+    }
+}
+
+// Child-index path from a root to one of its descendants, or null outside it
+function getNodePath(root, node) {
+    const path = [];
+    let current = node;
+    while (current && current !== root) {
+        if (!current.parentNode) {
+            return null;
+        }
+        path.unshift(Array.prototype.indexOf.call(current.parentNode.childNodes, current));
+        current = current.parentNode;
+    }
+    return current === root ? path : null;
+}
+
+// Snapshot of the block a paragraph's sentences may continue into, or null
+function getAdjacentBlockHtml(paragraph, forward) {
+    const block = paragraph ? getAdjacentSentenceBlock(paragraph, forward) : null;
+    return block ? block.outerHTML : null;
+}
+
+// Turn a finished tap into plain data that outlives the DOM it describes
+function recordTapDiagnostics(tap) {
+    const target = tap.target && tap.target.nodeType === Node.ELEMENT_NODE ? tap.target : null;
+    const paragraph = tap.paragraph || (target ? findParagraphContainer(target) : null);
+
+    const record = {
+        time: new Date(tap.time).toISOString(),
+        point: tap.point,
+        viewport: { width: window.innerWidth, height: window.innerHeight },
+        writingMode: paragraph ? window.getComputedStyle(paragraph).writingMode : null,
+        paragraphHtml: paragraph ? paragraph.outerHTML : null,
+        previousHtml: getAdjacentBlockHtml(paragraph, false),
+        nextHtml: getAdjacentBlockHtml(paragraph, true),
+        targetPath: paragraph && target ? getNodePath(paragraph, target) : null,
+        targetTag: target ? target.tagName : null,
+        caret: null,
+        rubyPath: paragraph && tap.ruby ? getNodePath(paragraph, tap.ruby) : null,
+        absoluteOffset: tap.absoluteOffset !== undefined && paragraph ?
+                        toCharacterOffset(getTextIndex(paragraph).text, tap.absoluteOffset) :
+                        null,
+        payload: tap.payload || null,
+        snapped: !!tap.snapped,
+        dismissed: !!tap.dismissed
+    };
+    if (tap.caret && paragraph) {
+        record.caret = {
+            path: getNodePath(paragraph, tap.caret.startContainer),
+            offset: tap.caret.startOffset
+        };
+    }
+
+    recentTaps.push(record);
+    if (recentTaps.length > diagnosticsSettings.maxTaps) {
+        recentTaps = recentTaps.slice(-diagnosticsSettings.maxTaps);
+    }
+}
+
+// Replace book text with placeholders of the same script and UTF-16 length,
+// keeping punctuation and spaces so sentence and offset logic replays the same
+function anonymiseText(text, includeLatin = true) {
+    let result = text.replace(/\p{Script=Han}/gu, ch => ch.length === 2 ? '\u{20000}' : '漢')
+                     .replace(/\p{Script=Hiragana}/gu, 'あ')
+                     .replace(/\p{Script=Katakana}/gu, 'ア');
+    if (includeLatin) {
+        result = result.replace(/[A-Za-z]/g, 'x').replace(/[Ａ-Ｚａ-ｚ]/g, 'ｘ');
+    }
+    return result;
+}
+
+// Anonymise the text and text-bearing attributes of an HTML snapshot
+function anonymiseHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const walker = document.createTreeWalker(template.content, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+    let node = walker.nextNode();
+    while (node) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            node.textContent = anonymiseText(node.textContent);
+        } else {
+            for (const attribute of ['alt', 'title', 'aria-label']) {
+                if (node.hasAttribute(attribute)) {
+                    node.setAttribute(attribute, anonymiseText(node.getAttribute(attribute)));
+                }
+            }
+        }
+        node = walker.nextNode();
+    }
+    return template.innerHTML;
+}
+
+// Anonymise the text fields of a lookup payload
+function anonymisePayload(payload) {
+    if (!payload) {
+        return payload;
+    }
+    const result = { ...payload };
+    for (const field of ['text', 'reading', 'fullText', 'rawFullText', 'surroundingText']) {
+        if (typeof result[field] === 'string') {
+            result[field] = anonymiseText(result[field]);
+        }
+    }
+    return result;
+}
+
+// Export recent logs and taps as one JSON string; pass { anonymise: true }
+// to replace the book's text with placeholders. Either kind replays with
+// replayDiagnostics from JavaScriptTests/support/replay.js.
+shiori.exportDiagnostics = function(options = {}) {
+    const anonymise = !!options.anonymise;
+    const logger = window.shioriConsoleLogger;
+    const logs = logger && typeof logger.getRecentLogs === 'function' ? logger.getRecentLogs() : [];
+
+    const taps = recentTaps.map(tap => {
+        if (!anonymise) {
+            return tap;
+        }
+        return {
+            ...tap,
+            paragraphHtml: tap.paragraphHtml ? anonymiseHtml(tap.paragraphHtml) : null,
+            previousHtml: tap.previousHtml ? anonymiseHtml(tap.previousHtml) : null,
+            nextHtml: tap.nextHtml ? anonymiseHtml(tap.nextHtml) : null,
+            payload: anonymisePayload(tap.payload)
+        };
+    });
+
+    return JSON.stringify({
+        format: 'shiori-diagnostics',
+        version: 1,
+        protocolVersion: shioriProtocolVersion,
+        createdAt: new Date().toISOString(),
+        userAgent: navigator.userAgent,
+        location: anonymise ? null : location.href,
+        anonymised: anonymise,
+        settings: {
+            rangeSelection: { ...rangeSelectionSettings },
+            hoverScan: { ...hoverScanSettings },
+            keyboardCursor: { ...keyboardCursorSettings },
+            furiganaMode: furiganaSettings.mode,
+            sentence: { ...sentenceSettings }
+        },
+        logs: anonymise ? logs.map(line => anonymiseText(line, false)) : logs,
+        taps: taps
+    });
+};
+
+// Forget the recorded taps
+shiori.clearDiagnostics = function() {
+    recentTaps = [];
+    return true;
+};
+
+// LIFECYCLE
+
+// Register every page listener the script relies on
+function registerPageEventListeners() {
+    addPageEventListener(document, 'click', handleDocumentClick, false);
+
+    addPageEventListener(document, 'pointerdown', handleRangeSelectionPointerDown, true);
+    addPageEventListener(document, 'pointermove', handleRangeSelectionPointerMove, true);
+    addPageEventListener(document, 'pointerup', handleRangeSelectionPointerUp, true);
+    addPageEventListener(document, 'pointercancel', handleRangeSelectionPointerUp, true);
+    addPageEventListener(document, 'touchmove', handleRangeSelectionTouchMove, { capture: true, passive: false });
+
+    addPageEventListener(document, 'pointermove', handleHoverScanPointerMove, false);
+    addPageEventListener(document.documentElement, 'pointerleave', handleHoverScanPointerLeave, false);
+
+    addPageEventListener(document, 'keydown', handleKeyboardCursorKeyDown, true);
+
+    addPageEventListener(window, 'scroll', handleReadingPositionScroll, { passive: true });
+    addPageEventListener(window, 'scroll', handleReadingStatisticsScroll, { passive: true });
+}
+
+// Start listening for taps and apply the optional feature settings; calling it
+// again tears the previous state down first, so it is always safe to repeat
+shiori.init = function(config = {}) {
+    if (initialized) {
+        shiori.destroy();
+    }
+
+    shioriConfig = { ...shioriConfig, ...config };
+    registerPageEventListeners();
+    initialized = true;
+
+    if (config.rangeSelection) {
+        shiori.setRangeSelectionEnabled(config.rangeSelection.enabled, config.rangeSelection);
+    }
+    if (config.hoverScan) {
+        shiori.setHoverScan(config.hoverScan.enabled, config.hoverScan);
+    }
+    if (config.keyboardCursor !== undefined) {
+        shiori.setKeyboardCursor(config.keyboardCursor);
+    }
+    if (config.furigana) {
+        shiori.setFuriganaMode(config.furigana.mode, config.furigana);
+    }
+    if (config.readingPosition) {
+        shiori.setReadingPositionReporting(config.readingPosition.enabled, config.readingPosition);
+    }
+    if (config.readingStatistics) {
+        shiori.setReadingStatistics(config.readingStatistics.enabled, config.readingStatistics);
+    }
+    if (config.ruby) {
+        shiori.setRubyOptions(config.ruby);
+    }
+    if (config.tapSnapping) {
+        shiori.setTapSnapping(config.tapSnapping.enabled, config.tapSnapping);
+    }
+    if (config.lookahead !== undefined) {
+        shiori.setLookupOptions({ lookahead: config.lookahead });
+    }
+    if (config.debug !== undefined) {
+        shiori.setDebugMode(config.debug);
+    }
+    debugLog("Script initialized");
+
+    postShioriMessage('ready', { script: 'wordSelection' });
+    return true;
+};
+
+// Whether init has run and destroy hasn't since
+shiori.isInitialized = function() {
+    return initialized;
+};
+
+// Remove every listener, observer, timer, highlight and style the script added;
+// only for an explicit cleanup, since injecting the script again keeps this instance
+shiori.destroy = function() {
+    for (const [target, type, listener, options] of pageEventListeners) {
+        target.removeEventListener(type, listener, options);
+    }
+    pageEventListeners = [];
+
+    clearRangeSelection();
+    cancelHoverScan();
+    clearKeyboardCursor();
+    clearMatchHighlight();
+    clearVocabularyMarks();
+    lastVocabularyMarks = null;
+    clearDebugOverlay();
+    clearSpeechHighlight();
+    clearAnnotationHighlights();
+    annotations = new Map();
+    clearFuriganaMode();
+    furiganaSettings.mode = 'show';
+    shiori.removeGeneratedFurigana();
+    rangeSelectionSettings.enabled = false;
+    hoverScanSettings.enabled = false;
+    keyboardCursorSettings.enabled = false;
+    debugSettings.enabled = false;
+    readingPositionSettings.reportOnScroll = false;
+    readingPositionTimer = null;
+    readingStatisticsSettings.enabled = false;
+    rubySettings.lookUpReading = false;
+    readingStatisticsTimer = null;
+    document.documentElement.classList.remove('shiori-range-selection-enabled');
+
+    disconnectTextIndexObserver();
+    for (const observer of pageObservers) {
+        observer.disconnect();
+    }
+    pageObservers = [];
+
+    rejectPendingNativeRequests('Page scripts were destroyed');
+    for (const timer of pageTimers) {
+        clearTimeout(timer);
+    }
+    pageTimers.clear();
+
+    for (const style of pageStyles) {
+        style.remove();
+    }
+    pageStyles.clear();
+
+    lastLookupContext = null;
+    lastHoverScanKey = null;
+    tapTrace = null;
+    initialized = false;
+
+    // Return true to indicate successful cleanup
+    return true;
+};
+
+window.shiori = shiori;
+
+// Start with the handler name the injecting code set up
+try {
+    shiori.init({ logHandlerName: window.shioriLogHandlerName || null });
+} catch(e) {
+    console.log("[Shiori] Error initialising: " + e);
+}
+
+})();
@@ -0,0 +1,121 @@
+import Foundation
+
+/// A message wordSelection.js posts to the `shioriMessage` handler.
+///
+/// Every message is an envelope of `protocolVersion`, `type` and `requestId`
+/// with the payload fields alongside. Text offsets count Characters, so they
+/// can be used with `String.index(_:offsetBy:)` directly.
+enum ShioriPageMessage {
+    case ready(script: String)
+    case error(code: String, message: String, relatedRequestId: String?)
+    case request(requestId: String, method: String, params: [String: Any])
+    case readingPosition(ReadingPosition)
+    case charactersRead(CharactersRead)
+
+    /// The protocol version this app understands
+    static let protocolVersion = 3
+
+    /// Where the reader is on the page, precise to a character
+    struct ReadingPosition {
+        let paragraphIndex: Int
+        let offset: Int
+        let paragraphPrefix: String
+        let textAfter: String
+        let href: String
+
+        /// The position as the page reported it, to pass back to `restoreReadingPosition`
+        var fields: [String: Any] {
+            return [
+                "paragraphIndex": paragraphIndex,
+                "offset": offset,
+                "paragraphPrefix": paragraphPrefix,
+                "textAfter": textAfter,
+                "href": href
+            ]
+        }
+    }
+
+    /// Japanese characters newly scrolled into view
+    struct CharactersRead {
+        let count: Int
+        let totalCount: Int
+        let timestamp: Date
+        let href: String
+        /// Every `[start, end)` range of the chapter counted so far, to pass back on the next visit
+        let counted: [[Int]]
+    }
+
+    /// Decode a message body, which arrives as a dictionary from WebKit or as a JSON string from Readium
+    init?(body: Any) {
+        guard let fields = ShioriPageMessage.decodeBody(body),
+              fields["protocolVersion"] as? Int == ShioriPageMessage.protocolVersion,
+              let type = fields["type"] as? String,
+              let requestId = fields["requestId"] as? String else {
+            return nil
+        }
+
+        switch type {
+        case "ready":
+            guard let script = fields["script"] as? String else { return nil }
+            self = .ready(script: script)
+
+        case "error":
+            guard let code = fields["code"] as? String,
+                  let message = fields["message"] as? String else { return nil }
+            self = .error(code: code, message: message, relatedRequestId: fields["relatedRequestId"] as? String)
+
+        case "request":
+            guard let method = fields["method"] as? String else { return nil }
+            self = .request(requestId: requestId, method: method, params: fields["params"] as? [String: Any] ?? [:])
+
+        case "readingPosition":
+            guard let paragraphIndex = fields["paragraphIndex"] as? Int,
+                  let offset = fields["offset"] as? Int,
+                  let paragraphPrefix = fields["paragraphPrefix"] as? String,
+                  let textAfter = fields["textAfter"] as? String,
+                  let href = fields["href"] as? String else { return nil }
+            self = .readingPosition(ReadingPosition(paragraphIndex: paragraphIndex,
+                                                    offset: offset,
+                                                    paragraphPrefix: paragraphPrefix,
+                                                    textAfter: textAfter,
+                                                    href: href))
+
+        case "charactersRead":
+            guard let count = fields["count"] as? Int,
+                  let totalCount = fields["totalCount"] as? Int,
+                  let timestamp = fields["timestamp"] as? Double,
+                  let href = fields["href"] as? String,
+                  let counted = fields["counted"] as? [[Int]] else { return nil }
+            self = .charactersRead(CharactersRead(count: count,
+                                                  totalCount: totalCount,
+                                                  timestamp: Date(timeIntervalSince1970: timestamp / 1000),
+                                                  href: href,
+                                                  counted: counted))
+
+        default:
+            return nil
+        }
+    }
+
+    /// Turn a message body into a dictionary, parsing it if it was sent as a JSON string
+    static func decodeBody(_ body: Any) -> [String: Any]? {
+        if let fields = body as? [String: Any] {
+            return fields
+        }
+        if let bodyString = body as? String,
+           let data = bodyString.data(using: .utf8),
+           let fields = try? JSONSerialization.jsonObject(with: data) as? [String: Any] {
+            return fields
+        }
+        return nil
+    }
+
+    /// Format a log message, which is a `{level, message}` object or a plain string
+    static func logText(from body: Any) -> String {
+        if let fields = decodeBody(body), let message = fields["message"] as? String {
+            let level = fields["level"] as? String ?? "info"
+            return "[\(level)] \(message)"
+        }
+        return "\(body)"
+    }
+}
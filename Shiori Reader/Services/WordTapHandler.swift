@@ -1,5 +1,8 @@
 import WebKit
 
+/// Key for the reader's tap debug overlay setting in UserDefaults
+let kReaderDebugModeKey = "shiori.reader.debugMode"
+
 class WordTapHandler: NSObject, WKScriptMessageHandler {
     weak var viewModel: ReaderViewModel?
     private var registeredHandlers = Set<String>()
@@ -41,18 +44,116 @@ class WordTapHandler: NSObject, WKScriptMessageHandler {
                 Logger.error(category: "WordTapHandler", "Unexpected message body format for wordTapped")
             }
             
+        case "rangeSelected":
+            handleRangeSelection(body: message.body)
+            
+        case "shioriMessage":
+            handleShioriMessage(body: message.body, from: message.webView)
+            
         case "dismissDictionary":
             viewModel.showDictionary = false
             
         default:
             if message.name.starts(with: "shioriLog") {
-                Logger.jsLog(category: "Shiori", "\(message.body)")
+                Logger.jsLog(category: "Shiori", ShioriPageMessage.logText(from: message.body))
             } else {
                 Logger.warning(category: "WordTapHandler", "Received unhandled message type: \(message.name)")
             }
         }
     }
     
+    // Look up a long-press range selection like a tapped word, starting from its first character
+    func handleRangeSelection(body: Any) {
+        guard var options = ShioriPageMessage.decodeBody(body),
+              let text = options["text"] as? String else {
+            Logger.error(category: "WordTapHandler", "Failed to parse rangeSelected message body")
+            return
+        }
+        options["absoluteOffset"] = options["startOffset"]
+        viewModel?.handleWordSelection(text: text, options: options)
+    }
+    
+    // Handle a protocol message from the page, answering requests through the web view it came from
+    func handleShioriMessage(body: Any, from webView: WKWebView?) {
+        guard let message = ShioriPageMessage(body: body) else {
+            Logger.error(category: "WordTapHandler", "Failed to parse shioriMessage body: \(body)")
+            return
+        }
+        
+        switch message {
+        case .ready(let script):
+            Logger.debug(category: "WordTapHandler", "Page script ready: \(script)")
+            
+        case .error(let code, let errorMessage, let relatedRequestId):
+            Logger.error(category: "WordTapHandler", "Page error \(code): \(errorMessage)" + (relatedRequestId.map { " (request \($0))" } ?? ""))
+            
+        case .request(let requestId, let method, _):
+            // No page requests are served natively yet, so reject them straight away instead of letting them time out
+            resolvePageRequest(requestId, error: "Unsupported request '\(method)'", in: webView)
+            
+        case .readingPosition(let position):
+            viewModel?.handleReadingPosition(position)
+            
+        case .charactersRead(let charactersRead):
+            viewModel?.handleCharactersRead(charactersRead)
+        }
+    }
+    
+    // Answer a page request through shiori.resolveRequest
+    private func resolvePageRequest(_ requestId: String, result: Any = NSNull(), error: String? = nil, in webView: WKWebView?) {
+        guard let webView = webView,
+              let data = try? JSONSerialization.data(withJSONObject: [requestId, result, error ?? NSNull()]),
+              let arguments = String(data: data, encoding: .utf8) else {
+            Logger.warning(category: "WordTapHandler", "Could not answer page request \(requestId)")
+            return
+        }
+        
+        let script = "window.shiori && window.shiori.resolveRequest.apply(null, \(arguments));"
+        webView.evaluateJavaScript(script) { _, error in
+            if let error = error {
+                Logger.error(category: "WordTapHandler", "Failed to answer page request \(requestId): \(error)")
+            }
+        }
+    }
+    
+    // Turn on character counting, skipping what was already counted in this chapter
+    private func enableReadingStatistics(in webView: WKWebView) {
+        guard let href = webView.url?.absoluteString.components(separatedBy: "#").first,
+              let counted = viewModel?.countedCharacterRanges(for: href),
+              let data = try? JSONSerialization.data(withJSONObject: ["counted": counted]),
+              let options = String(data: data, encoding: .utf8) else {
+            return
+        }
+        
+        let script = "window.shiori && window.shiori.setReadingStatistics(true, \(options));"
+        webView.evaluateJavaScript(script) { _, error in
+            if let error = error {
+                Logger.error(category: "WordTapHandler", "Failed to enable reading statistics: \(error)")
+            }
+        }
+    }
+    
+    // Turn on position reports, so the reader can return to the same character after a layout change
+    private func enableReadingPositionReporting(in webView: WKWebView) {
+        let script = "window.shiori && window.shiori.setReadingPositionReporting(true);"
+        webView.evaluateJavaScript(script) { _, error in
+            if let error = error {
+                Logger.error(category: "WordTapHandler", "Failed to enable reading position reports: \(error)")
+            }
+        }
+    }
+    
+    // Show the tap debug overlay and trace logs when they are turned on in Settings
+    private func applyDebugMode(in webView: WKWebView) {
+        let enabled = UserDefaults.standard.bool(forKey: kReaderDebugModeKey)
+        let script = "window.shiori && window.shiori.setDebugMode(\(enabled));"
+        webView.evaluateJavaScript(script) { _, error in
+            if let error = error {
+                Logger.error(category: "WordTapHandler", "Failed to set debug mode: \(error)")
+            }
+        }
+    }
+    
     // Register handlers for a WebView, using a unique key to avoid duplicates
     func registerHandlers(for webView: WKWebView) -> Bool {
         let identifier = "\(Unmanaged.passUnretained(webView).toOpaque())"
@@ -67,10 +168,14 @@ class WordTapHandler: NSObject, WKScriptMessageHandler {
         // Use unique names with the identifier to prevent conflicts
         let wordTappedName = "wordTapped"
         let dismissName = "dismissDictionary"
+        let rangeSelectedName = "rangeSelected"
+        let shioriMessageName = "shioriMessage"
         let logName = "shioriLog_\(identifier)"
         
         userContentController.add(self, name: wordTappedName)
         userContentController.add(self, name: dismissName)
+        userContentController.add(self, name: rangeSelectedName)
+        userContentController.add(self, name: shioriMessageName)
         userContentController.add(self, name: logName)
         
         // Mark as registered
@@ -91,6 +196,8 @@ class WordTapHandler: NSObject, WKScriptMessageHandler {
         // Remove existing handlers
         userContentController.removeScriptMessageHandler(forName: "wordTapped")
         userContentController.removeScriptMessageHandler(forName: "dismissDictionary")
+        userContentController.removeScriptMessageHandler(forName: "rangeSelected")
+        userContentController.removeScriptMessageHandler(forName: "shioriMessage")
         userContentController.removeScriptMessageHandler(forName: "shioriLog_\(identifier)")
         
         // Remove from registered set
@@ -135,6 +242,10 @@ class WordTapHandler: NSObject, WKScriptMessageHandler {
             if let error = error {
                 Logger.error(category: "WordTapHandler", "Script injection failed: \(error)")
             } else {
+                self.enableReadingStatistics(in: webView)
+                self.enableReadingPositionReporting(in: webView)
+                self.applyDebugMode(in: webView)
+                
                 // Silent test to verify the handler is working
                 let testScript = """
                 try {